@@ -0,0 +1,26 @@
+import { useEffect } from 'react'
+import { useRouter } from 'next/router'
+
+// Print and EPUB download buttons at the top of the print book (pages/print.mdx, generated by
+// scripts/process-docs.js). Hidden when printing.
+export function BookToolbar({ epub }) {
+  const { basePath } = useRouter()
+
+  // Browsers do not print lazy images that were never scrolled into view
+  useEffect(() => {
+    document.querySelectorAll('.book-chapter img[loading="lazy"]').forEach(img => {
+      img.setAttribute('loading', 'eager')
+    })
+  }, [])
+
+  return (
+    <div className="book-toolbar">
+      <button type="button" className="book-toolbar-button" onClick={() => window.print()}>
+        🖨️ Print or save as PDF
+      </button>
+      <a className="book-toolbar-button" href={`${basePath}${epub}`} download>
+        📖 Download EPUB
+      </a>
+    </div>
+  )
+}
@@ -0,0 +1,19 @@
+import { useRef } from 'react'
+import { useZoomable } from './zoomable-image'
+
+// A Mermaid or PlantUML diagram rendered to SVG by scripts/process-docs.js. The SVG is inlined,
+// so its text can be searched and follows the page's fonts; it opens in the image viewer.
+export function Diagram({ svg, title, language }) {
+  const ref = useRef(null)
+  const zoomableProps = useZoomable(ref, { alt: title || 'Diagram', isDiagram: true })
+
+  return (
+    <figure
+      ref={ref}
+      className={`diagram diagram-${language}`}
+      aria-label={title || 'Diagram'}
+      dangerouslySetInnerHTML={{ __html: svg }}
+      {...zoomableProps}
+    />
+  )
+}
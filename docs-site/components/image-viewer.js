@@ -0,0 +1,1234 @@
+// The image viewer behind ZoomableImage and Diagram: a modal gallery of the page's images with
+// zoom, pan and links to the current view. Images register themselves while mounted, so the
+// gallery always matches the page without scanning the DOM.
+
+// Drawing diagram hotspots is an authoring tool, offered by `npm run dev` only
+const HOTSPOT_AUTHORING = process.env.NODE_ENV === 'development';
+
+class ImageViewer {
+  constructor() {
+    // Scale is relative to the image's natural size; limits are recomputed per image
+    this.currentScale = 1;
+    this.fitScale = 1;
+    this.minScale = 0.5;
+    this.maxScale = 3;
+    this.zoomFactor = 1.25;
+    this.wheelSpeed = 0.002;
+    // Zoom until one image pixel covers this many screen pixels
+    this.maxPixelZoom = 4;
+    this.dragOffset = { x: 0, y: 0 };
+    this.currentImage = null;
+    this.overlay = null;
+    this.stage = null;
+    // Active pointers (pointerId -> stage position) and the gesture they make
+    this.pointers = new Map();
+    this.gesture = null;
+    this.velocity = { x: 0, y: 0 };
+    this.lastMoveTime = 0;
+    this.momentumFrame = null;
+    this.friction = 0.95;
+    this.lastTap = null;
+    this.doubleTapDelay = 300;
+    this.tapSlop = 10;
+    // Gallery: every zoomable image and diagram on the page, in document order
+    this.items = [];
+    this.currentIndex = 0;
+    this.swipeThreshold = 50;
+    // The open image and its view are mirrored in the URL hash (#image=…&zoom=…&x=…&y=…)
+    this.router = null;
+    this.pagePath = null;
+    this.restoreTimer = null;
+    // Deep zoom: tile layouts of the large images, and the layout of the open one
+    this.tileIndex = {};
+    this.tiles = null;
+    this.tileFrame = null;
+    // Clickable areas of diagrams (image URL -> hotspots), those of the open image, and
+    // whether the reader is drawing new ones
+    this.hotspotIndex = {};
+    this.hotspots = [];
+    this.authoring = false;
+    this.pendingView = null;
+    // Source of the popup image that was last fitted, so a load is only handled once
+    this.loadedSrc = null;
+    this.hasHistoryEntry = false;
+    this.ignoreNextPopState = false;
+    this.hashTimer = null;
+    this.returnFocus = null;
+    this.announceTimer = null;
+    this.announcedZoom = null;
+    this.panStep = 60;
+
+    this.onKeydown = (e) => this.handleKeydown(e);
+    this.onPopState = () => this.handlePopState();
+  }
+
+  // Called once from pages/_app.js; returns the cleanup for its effect
+  connect(router) {
+    this.router = router;
+    this.pagePath = window.location.pathname;
+    this.loadIndexes(router.basePath);
+    window.addEventListener('popstate', this.onPopState);
+    // Popstate events that only open or close the viewer must not reach the Next.js router
+    router.beforePopState((state) => !this.ownsPopState(state));
+    this.scheduleRestore();
+
+    return () => {
+      this.removePopup();
+      window.removeEventListener('popstate', this.onPopState);
+      router.beforePopState(() => true);
+      this.router = null;
+    };
+  }
+
+  // After client-side navigation the new page's images have registered themselves
+  handleRouteChange() {
+    this.pagePath = window.location.pathname;
+    this.hasHistoryEntry = false;
+    this.removePopup();
+    this.scheduleRestore();
+  }
+
+  // ZoomableImage and Diagram add their element while mounted; returns the unregister function
+  register(element, { alt, isDiagram = false }) {
+    this.items.push({ element, alt, isDiagram });
+    this.items.sort((a, b) => (a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    this.scheduleRestore();
+
+    return () => {
+      this.items = this.items.filter(item => item.element !== element);
+    };
+  }
+
+  // scripts/process-docs.js lists the images it cut into tiles in tiles.json and the clickable
+  // areas of diagrams in hotspots.json; until they have loaded, or if they fail to, images open
+  // whole and without hotspots
+  loadIndexes(basePath) {
+    const load = (file) => fetch(`${basePath}/images/${file}`)
+      .then(response => (response.ok ? response.json() : {}))
+      .catch(() => ({}));
+
+    load('tiles.json').then(index => {
+      this.tileIndex = index;
+    });
+    load('hotspots.json').then(index => {
+      this.hotspotIndex = index;
+      // An image opened from a link before the index arrived
+      if (this.overlay) {
+        this.showHotspots(this.items[this.currentIndex]);
+        this.renderHotspots();
+      }
+    });
+  }
+
+  open(element) {
+    this.openPopup(this.items.findIndex(item => item.element === element));
+  }
+
+  // Inline SVG diagrams open as an SVG image
+  itemSource(item) {
+    return item.isDiagram ? this.svgToDataUrl(item.element.querySelector('svg')) : item.element.src;
+  }
+
+  // The published URL that tiles.json and hotspots.json list an image under
+  itemPath(item) {
+    return item.isDiagram ? null : new URL(item.element.src).pathname;
+  }
+
+  svgToDataUrl(svg) {
+    // Mermaid emits width="100%", which gives an <img> no natural size; use the viewBox instead
+    const copy = svg.cloneNode(true);
+    const viewBox = svg.viewBox && svg.viewBox.baseVal;
+    if (viewBox && viewBox.width) {
+      copy.setAttribute('width', viewBox.width);
+      copy.setAttribute('height', viewBox.height);
+      copy.style.maxWidth = '';
+    }
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(copy))}`;
+  }
+
+  // Name of an image in links: its file name, or the diagram's SVG id
+  itemKey(item) {
+    if (item.isDiagram) {
+      const svg = item.element.querySelector('svg');
+      return (svg && svg.id) || `diagram-${this.items.filter(other => other.isDiagram).indexOf(item) + 1}`;
+    }
+    return decodeURIComponent(new URL(item.element.src).pathname.split('/').pop());
+  }
+
+  findItem(key) {
+    return this.items.findIndex(item => this.itemKey(item) === key);
+  }
+
+  readHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    if (!params.get('image')) return null;
+
+    const number = (name) => {
+      const value = Number(params.get(name));
+      return params.has(name) && Number.isFinite(value) ? value : null;
+    };
+    return { image: params.get('image'), zoom: number('zoom'), x: number('x'), y: number('y') };
+  }
+
+  // Zoom in % of the natural size and the image pixel at the stage centre, so a link
+  // shows the same detail on any screen size
+  currentView() {
+    const center = this.stageCenter();
+    return {
+      image: this.itemKey(this.items[this.currentIndex]),
+      zoom: Math.round(this.currentScale * 100),
+      x: Math.round((center.x - this.dragOffset.x) / this.currentScale),
+      y: Math.round((center.y - this.dragOffset.y) / this.currentScale)
+    };
+  }
+
+  applyView(view) {
+    if (view.zoom !== null) {
+      this.currentScale = Math.min(this.maxScale, Math.max(this.minScale, view.zoom / 100));
+    }
+    if (view.x !== null && view.y !== null) {
+      const center = this.stageCenter();
+      this.dragOffset = { x: center.x - view.x * this.currentScale, y: center.y - view.y * this.currentScale };
+    }
+    this.updateImageTransform();
+  }
+
+  viewUrl(view) {
+    const params = new URLSearchParams();
+    Object.entries(view)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .forEach(([key, value]) => params.set(key, value));
+    return `${window.location.pathname}${window.location.search}#${params}`;
+  }
+
+  // Back closes the popup, so it gets its own history entry on top of the page's
+  pushHistoryEntry(view) {
+    const state = window.history.state || {};
+    if (this.readHash()) {
+      // Opened from a link: the entry below shows the plain page
+      window.history.replaceState(state, '', `${window.location.pathname}${window.location.search}`);
+    }
+    window.history.pushState({ ...state, imagePopup: true }, '', this.viewUrl(view));
+    this.hasHistoryEntry = true;
+  }
+
+  // Keep the hash in step with zoom and pan without adding history entries
+  scheduleHashUpdate() {
+    if (!this.hasHistoryEntry) return;
+    clearTimeout(this.hashTimer);
+    this.hashTimer = setTimeout(() => {
+      if (this.overlay) {
+        window.history.replaceState(window.history.state, '', this.viewUrl(this.currentView()));
+      }
+    }, 250);
+  }
+
+  // Once the images of the page have registered, in one go rather than per image
+  scheduleRestore() {
+    clearTimeout(this.restoreTimer);
+    this.restoreTimer = setTimeout(() => this.restoreFromHash(), 0);
+  }
+
+  // Open the view a shared link points at
+  restoreFromHash() {
+    const view = this.readHash();
+    if (!view || this.overlay || !this.router) return;
+
+    const index = this.findItem(view.image);
+    if (index !== -1) {
+      this.openPopup(index, { view });
+    }
+  }
+
+  // Popstate events between the page and its popup entries are handled here; the Next.js
+  // router would otherwise reload the page and scroll to the top
+  ownsPopState(state) {
+    if (window.location.pathname !== this.pagePath) return false;
+    return this.ignoreNextPopState || this.overlay !== null || Boolean(state && state.imagePopup);
+  }
+
+  handlePopState() {
+    if (this.ignoreNextPopState) {
+      this.ignoreNextPopState = false;
+      return;
+    }
+
+    const view = window.location.pathname === this.pagePath ? this.readHash() : null;
+    const index = view ? this.findItem(view.image) : -1;
+    if (index === -1) {
+      this.hasHistoryEntry = false;
+      this.removePopup();
+    } else if (this.overlay) {
+      this.showImage(index, view);
+    } else {
+      // Forward into a popup entry
+      this.openPopup(index, { view, fromHistory: true });
+    }
+  }
+
+  copyViewLink() {
+    const url = new URL(this.viewUrl(this.currentView()), window.location.href).href;
+    const zoomInfo = this.overlay.querySelector('.image-popup-zoom-info');
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject();
+
+    copied
+      .then(() => {
+        zoomInfo.textContent = 'Link copied';
+      })
+      .catch(() => window.prompt('Copy this link:', url));
+  }
+
+  openPopup(index, { view = null, fromHistory = false } = {}) {
+    if (index < 0 || index >= this.items.length) return;
+    
+    // Focus goes back here on close
+    this.returnFocus = document.activeElement;
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'image-popup-overlay';
+    this.overlay.setAttribute('role', 'dialog');
+    this.overlay.setAttribute('aria-modal', 'true');
+    this.overlay.setAttribute('aria-label', 'Image viewer');
+    this.overlay.setAttribute('aria-describedby', 'image-popup-help');
+    
+    const container = document.createElement('div');
+    container.className = 'image-popup-container';
+    // Focusable so the keyboard shortcuts work straight away, but not a tab stop
+    container.tabIndex = -1;
+    this.stage = container;
+    
+    const popupImg = document.createElement('img');
+    popupImg.className = 'image-popup-image';
+    popupImg.draggable = false;
+    
+    const controls = this.createControls();
+    const zoomInfo = document.createElement('div');
+    zoomInfo.className = 'image-popup-zoom-info';
+    zoomInfo.setAttribute('aria-hidden', 'true');
+    zoomInfo.textContent = `Zoom: 100%`;
+
+    const help = document.createElement('p');
+    help.id = 'image-popup-help';
+    help.className = 'image-popup-sr-only';
+    help.textContent = 'Plus and minus zoom, arrow keys pan, Page Up and Page Down show the previous and next image, Escape closes.';
+
+    // Zoom level and image changes, for screen readers
+    const status = document.createElement('div');
+    status.className = 'image-popup-status image-popup-sr-only';
+    status.setAttribute('role', 'status');
+    
+    this.addPopupEventListeners(container, popupImg);
+    
+    // Deep zoom tiles, transformed together with the image
+    const tileLayer = document.createElement('div');
+    tileLayer.className = 'image-popup-tiles';
+    tileLayer.setAttribute('aria-hidden', 'true');
+
+    // Hotspot links, positioned over the image in stage pixels
+    const hotspotLayer = document.createElement('div');
+    hotspotLayer.className = 'image-popup-hotspots';
+
+    container.appendChild(popupImg);
+    container.appendChild(tileLayer);
+    container.appendChild(hotspotLayer);
+    container.appendChild(controls);
+    container.appendChild(zoomInfo);
+    this.overlay.appendChild(container);
+    this.overlay.appendChild(help);
+    this.overlay.appendChild(status);
+
+    const caption = document.createElement('div');
+    caption.className = 'image-popup-caption';
+    this.overlay.appendChild(caption);
+
+    if (this.items.length > 1) {
+      this.overlay.classList.add('image-popup-gallery');
+      this.overlay.appendChild(this.createNavButton('prev', '‹', 'Previous image', () => this.showPrevious()));
+      this.overlay.appendChild(this.createNavButton('next', '›', 'Next image', () => this.showNext()));
+      this.overlay.appendChild(this.createThumbnails());
+    }
+    
+    document.body.appendChild(this.overlay);
+    document.body.style.overflow = 'hidden';
+    document.addEventListener('keydown', this.onKeydown);
+    
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) {
+        this.closePopup();
+      }
+    });
+
+    if (fromHistory) {
+      this.hasHistoryEntry = true;
+    } else {
+      this.pushHistoryEntry(view || { image: this.itemKey(this.items[index]) });
+    }
+
+    this.showImage(index, view);
+    container.focus({ preventScroll: true });
+  }
+
+  // `view` restores a zoom and position once the image has loaded
+  showImage(index, view = null) {
+    // Wrap around at either end
+    this.currentIndex = (index + this.items.length) % this.items.length;
+    const item = this.items[this.currentIndex];
+    this.currentImage = item.element;
+    this.pendingView = view;
+    this.loadedSrc = null;
+
+    const popupImg = this.overlay.querySelector('.image-popup-image');
+    // Fitting needs the natural size, so it happens once the image has loaded
+    popupImg.style.visibility = 'hidden';
+    this.showTiles(item, popupImg);
+    this.showHotspots(item);
+    popupImg.alt = item.alt || 'Popup image';
+
+    const caption = this.overlay.querySelector('.image-popup-caption');
+    const counter = this.items.length > 1 ? `${this.currentIndex + 1} / ${this.items.length}` : '';
+    caption.textContent = [counter, item.alt].filter(Boolean).join('  ·  ');
+    caption.hidden = caption.textContent === '';
+    this.announce(this.items.length > 1
+      ? `Image ${this.currentIndex + 1} of ${this.items.length}${item.alt ? `: ${item.alt}` : ''}`
+      : item.alt || '');
+
+    this.overlay.querySelectorAll('.image-popup-thumbnail').forEach((thumbnail, thumbnailIndex) => {
+      const isActive = thumbnailIndex === this.currentIndex;
+      thumbnail.classList.toggle('active', isActive);
+      thumbnail.setAttribute('aria-current', isActive ? 'true' : 'false');
+      if (isActive) {
+        thumbnail.scrollIntoView({ block: 'nearest', inline: 'center' });
+      }
+    });
+
+    if (popupImg.complete && popupImg.naturalWidth) {
+      this.handleImageLoad();
+    }
+  }
+
+  handleImageLoad() {
+    // An image that is already complete is handled by showImage, and the browser still fires
+    // `load` for it afterwards; fitting it again would drop the view just restored
+    const popupImg = this.overlay.querySelector('.image-popup-image');
+    if (this.loadedSrc === popupImg.src) {
+      return;
+    }
+    this.loadedSrc = popupImg.src;
+
+    this.resetZoom();
+    this.renderHotspots();
+    if (this.pendingView) {
+      this.applyView(this.pendingView);
+      this.pendingView = null;
+    }
+    // The new image is announced by name; only later zoom changes are read out
+    clearTimeout(this.announceTimer);
+    this.announcedZoom = Math.round(this.currentScale * 100);
+  }
+
+  announce(message) {
+    const status = this.overlay.querySelector('.image-popup-status');
+    status.textContent = message;
+  }
+
+  // Read the zoom level once it settles, not on every wheel step or pinch frame
+  scheduleZoomAnnouncement() {
+    clearTimeout(this.announceTimer);
+    this.announceTimer = setTimeout(() => {
+      const zoom = Math.round(this.currentScale * 100);
+      if (this.overlay && zoom !== this.announcedZoom) {
+        this.announcedZoom = zoom;
+        this.announce(`Zoom ${zoom}%`);
+      }
+    }, 500);
+  }
+
+  prefersReducedMotion() {
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  canPan(axis) {
+    const natural = this.naturalSize();
+    const stage = this.stageSize();
+    return axis === 'x'
+      ? natural.width * this.currentScale > stage.width + 1
+      : natural.height * this.currentScale > stage.height + 1;
+  }
+
+  panBy(dx, dy) {
+    this.stopMomentum();
+    this.dragOffset.x += dx;
+    this.dragOffset.y += dy;
+    this.updateImageTransform();
+  }
+
+  // Keep Tab and Shift+Tab inside the dialog
+  trapFocus(e) {
+    const focusable = [...this.overlay.querySelectorAll('button, a[href]')].filter(element => element.offsetParent !== null);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && (document.activeElement === first || !this.overlay.contains(document.activeElement))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !focusable.includes(document.activeElement))) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  showNext() {
+    this.showImage(this.currentIndex + 1);
+  }
+
+  showPrevious() {
+    this.showImage(this.currentIndex - 1);
+  }
+
+  createNavButton(direction, label, title, onClick) {
+    return this.createButton(label, title, onClick, `image-popup-nav image-popup-${direction}`);
+  }
+
+  createThumbnails() {
+    const strip = document.createElement('div');
+    strip.className = 'image-popup-thumbnails';
+
+    this.items.forEach((item, index) => {
+      const thumbnail = document.createElement('button');
+      thumbnail.type = 'button';
+      thumbnail.className = 'image-popup-thumbnail';
+      thumbnail.title = item.alt || `Image ${index + 1}`;
+      thumbnail.setAttribute('aria-label', `Image ${index + 1} of ${this.items.length}${item.alt ? `: ${item.alt}` : ''}`);
+
+      const thumbnailImg = document.createElement('img');
+      // The resized copy the page already loaded, when there is one; the stage shows the original
+      thumbnailImg.src = item.isDiagram ? this.itemSource(item) : item.element.currentSrc || item.element.src;
+      thumbnailImg.alt = '';
+      thumbnailImg.loading = 'lazy';
+      thumbnail.appendChild(thumbnailImg);
+
+      thumbnail.addEventListener('click', () => this.showImage(index));
+      strip.appendChild(thumbnail);
+    });
+
+    return strip;
+  }
+
+  // Icon buttons carry an aria-label, since screen readers do not announce `title` reliably
+  createButton(label, title, onClick, className = '') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `image-popup-btn ${className}`.trim();
+    button.innerHTML = label;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  createControls() {
+    const controls = document.createElement('div');
+    controls.className = 'image-popup-controls';
+    
+    controls.appendChild(this.createButton('+', 'Zoom In', () => this.zoomIn()));
+    controls.appendChild(this.createButton('−', 'Zoom Out', () => this.zoomOut()));
+    controls.appendChild(this.createButton('⟲', 'Reset Zoom', () => this.resetZoom()));
+    controls.appendChild(this.createButton('↔', 'Fit to Width', () => this.fitToWidth()));
+    controls.appendChild(this.createButton('↕', 'Fit to Height', () => this.fitToHeight()));
+    controls.appendChild(this.createButton('🔗', 'Copy Link to This View', () => this.copyViewLink()));
+    if (HOTSPOT_AUTHORING) {
+      const draw = this.createButton('✏️', 'Draw Hotspots', () => this.toggleAuthoring(), 'image-popup-authoring-btn');
+      draw.setAttribute('aria-pressed', 'false');
+      controls.appendChild(draw);
+      controls.appendChild(this.createButton('📋', 'Copy Hotspots JSON', () => this.copyHotspots(), 'image-popup-authoring-btn'));
+    }
+    controls.appendChild(this.createButton('×', 'Close', () => this.closePopup(), 'image-popup-close'));
+    
+    return controls;
+  }
+
+  addPopupEventListeners(stage, img) {
+    stage.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      // Trackpads send many small deltas and mouse wheels a few large ones; both zoom smoothly
+      this.zoomAt(this.currentScale * Math.exp(-e.deltaY * this.wheelSpeed), this.stagePoint(e));
+    }, { passive: false });
+
+    // Pointer events cover mouse, pen and every finger of a touch, so pinch sees both touches
+    stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    stage.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    stage.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    stage.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+
+    img.addEventListener('load', () => this.handleImageLoad());
+  }
+
+  stagePoint(e) {
+    const rect = this.stage.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  stageSize() {
+    return { width: this.stage.clientWidth, height: this.stage.clientHeight };
+  }
+
+  // A tiled image opens as its smallest single-tile level, stretched to full size; sharper
+  // tiles are then loaded for whatever part of it is on screen
+  showTiles(item, popupImg) {
+    const layer = this.overlay.querySelector('.image-popup-tiles');
+    layer.replaceChildren();
+    this.tiles = item.isDiagram ? null : this.tileIndex[this.itemPath(item)] || null;
+
+    if (!this.tiles) {
+      popupImg.style.width = '';
+      popupImg.style.height = '';
+      popupImg.src = this.itemSource(item);
+      return;
+    }
+
+    const { width, height } = this.tiles;
+    popupImg.style.width = `${width}px`;
+    popupImg.style.height = `${height}px`;
+    layer.style.width = `${width}px`;
+    layer.style.height = `${height}px`;
+    popupImg.src = this.tileUrl(this.baseTileLevel(), 0, 0);
+  }
+
+  baseTileLevel() {
+    const { width, height, tileSize, maxLevel } = this.tiles;
+    return Math.max(0, maxLevel - Math.ceil(Math.log2(Math.max(width, height) / tileSize)));
+  }
+
+  tileUrl(level, column, row) {
+    return `${this.tiles.url}/${level}/${column}_${row}.${this.tiles.format}`;
+  }
+
+  scheduleTileUpdate() {
+    if (this.tiles && !this.tileFrame) {
+      this.tileFrame = requestAnimationFrame(() => this.updateTiles());
+    }
+  }
+
+  // Add the tiles of the level matching the screen resolution that cover the visible area.
+  // Coarser levels stay underneath, so nothing goes blank while the finer tiles load.
+  updateTiles() {
+    this.tileFrame = null;
+    if (!this.overlay || !this.tiles) return;
+
+    const { width, height, tileSize, maxLevel } = this.tiles;
+    const layer = this.overlay.querySelector('.image-popup-tiles');
+    const resolution = this.currentScale * (window.devicePixelRatio || 1);
+    const level = Math.min(maxLevel, maxLevel + Math.ceil(Math.log2(resolution)));
+
+    // Finer levels left from zooming out are no longer needed
+    [...layer.children].forEach(levelLayer => {
+      if (Number(levelLayer.dataset.level) > level) levelLayer.remove();
+    });
+    if (level <= this.baseTileLevel()) return;
+
+    // Size of one tile of this level in image pixels
+    const span = tileSize * 2 ** (maxLevel - level);
+    const stage = this.stageSize();
+    const visible = {
+      left: Math.max(0, -this.dragOffset.x / this.currentScale),
+      top: Math.max(0, -this.dragOffset.y / this.currentScale),
+      right: Math.min(width, (stage.width - this.dragOffset.x) / this.currentScale),
+      bottom: Math.min(height, (stage.height - this.dragOffset.y) / this.currentScale)
+    };
+
+    const levelLayer = this.tileLevelLayer(layer, level);
+    for (let row = Math.floor(visible.top / span); row * span < visible.bottom; row++) {
+      for (let column = Math.floor(visible.left / span); column * span < visible.right; column++) {
+        const key = `${column}_${row}`;
+        if (levelLayer.querySelector(`[data-tile="${key}"]`)) continue;
+
+        const tile = document.createElement('img');
+        tile.dataset.tile = key;
+        tile.alt = '';
+        tile.draggable = false;
+        tile.style.left = `${column * span}px`;
+        tile.style.top = `${row * span}px`;
+        tile.style.width = `${Math.min(span, width - column * span)}px`;
+        tile.style.height = `${Math.min(span, height - row * span)}px`;
+        tile.src = this.tileUrl(level, column, row);
+        levelLayer.appendChild(tile);
+      }
+    }
+  }
+
+  // One layer per level, finer levels on top
+  tileLevelLayer(layer, level) {
+    const existing = [...layer.children].find(child => Number(child.dataset.level) === level);
+    if (existing) return existing;
+
+    const levelLayer = document.createElement('div');
+    levelLayer.dataset.level = level;
+    const above = [...layer.children].find(child => Number(child.dataset.level) > level);
+    layer.insertBefore(levelLayer, above || null);
+    return levelLayer;
+  }
+
+  naturalSize() {
+    if (this.tiles) {
+      return { width: this.tiles.width, height: this.tiles.height };
+    }
+    const img = this.overlay.querySelector('.image-popup-image');
+    return { width: img.naturalWidth || 1, height: img.naturalHeight || 1 };
+  }
+
+  // Hotspots come from the image's <image>.hotspots.json; they are drawn once it has loaded
+  showHotspots(item) {
+    const key = this.itemPath(item);
+    if (key && HOTSPOT_AUTHORING && !this.hotspotIndex[key]) {
+      // Somewhere to keep hotspots drawn on an image that has none yet
+      this.hotspotIndex[key] = [];
+    }
+    this.hotspots = (key && this.hotspotIndex[key]) || [];
+    this.overlay.querySelector('.image-popup-hotspots').replaceChildren();
+    this.overlay.querySelectorAll('.image-popup-authoring-btn').forEach(button => {
+      button.hidden = item.isDiagram;
+    });
+  }
+
+  renderHotspots() {
+    const layer = this.overlay.querySelector('.image-popup-hotspots');
+    layer.replaceChildren(...this.hotspots.map((hotspot, index) => this.createHotspot(hotspot, index)));
+    this.positionHotspots();
+  }
+
+  createHotspot(hotspot, index) {
+    const link = document.createElement('a');
+    link.className = 'image-popup-hotspot';
+    link.dataset.hotspot = index;
+    // Hotspots drawn in authoring mode have no link until process-docs has resolved them
+    if (hotspot.href) {
+      link.href = `${this.router.basePath}${hotspot.href}`;
+    }
+
+    const label = document.createElement('span');
+    label.className = 'image-popup-hotspot-label';
+    label.textContent = hotspot.label;
+    link.appendChild(label);
+
+    // Pointer taps are handled by handleTap, since the stage captures the pointer; this is
+    // for Enter on a focused hotspot
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.followHotspot(hotspot);
+    });
+    link.addEventListener('focus', () => this.revealHotspot(hotspot));
+    return link;
+  }
+
+  positionHotspots() {
+    this.overlay.querySelectorAll('.image-popup-hotspot').forEach(link => {
+      this.placeOnStage(link, this.hotspots[link.dataset.hotspot]);
+    });
+  }
+
+  // Position an element over a rectangle given in image pixels
+  placeOnStage(element, rect) {
+    element.style.left = `${this.dragOffset.x + rect.x * this.currentScale}px`;
+    element.style.top = `${this.dragOffset.y + rect.y * this.currentScale}px`;
+    element.style.width = `${rect.width * this.currentScale}px`;
+    element.style.height = `${rect.height * this.currentScale}px`;
+  }
+
+  // Pan a hotspot reached with Tab into view
+  revealHotspot(hotspot) {
+    const layer = this.overlay.querySelector('.image-popup-hotspots');
+    // Focus scrolls the clipped layer; the transform does the positioning
+    layer.scrollLeft = 0;
+    layer.scrollTop = 0;
+
+    const stage = this.stageSize();
+    const left = this.dragOffset.x + hotspot.x * this.currentScale;
+    const top = this.dragOffset.y + hotspot.y * this.currentScale;
+    const right = left + hotspot.width * this.currentScale;
+    const bottom = top + hotspot.height * this.currentScale;
+    if (left >= 0 && top >= 0 && right <= stage.width && bottom <= stage.height) return;
+
+    const center = this.stageCenter();
+    this.panBy(center.x - (left + right) / 2, center.y - (top + bottom) / 2);
+  }
+
+  // Go to the section or class reference a hotspot links to. The viewer's history entry is
+  // kept, so Back returns to the image at the same view.
+  followHotspot(hotspot) {
+    if (!this.overlay || !hotspot.href || this.authoring) return;
+
+    if (this.hasHistoryEntry) {
+      window.history.replaceState(window.history.state, '', this.viewUrl(this.currentView()));
+    }
+    this.hasHistoryEntry = false;
+    this.returnFocus = null;
+    this.removePopup();
+    this.router.push(hotspot.href);
+  }
+
+  toggleAuthoring() {
+    this.authoring = !this.authoring;
+    this.overlay.classList.toggle('image-popup-authoring', this.authoring);
+    this.overlay.querySelector('.image-popup-authoring-btn').setAttribute('aria-pressed', String(this.authoring));
+    this.announce(this.authoring
+      ? 'Drawing hotspots: drag over the image to add one, click one to remove it'
+      : 'Stopped drawing hotspots');
+  }
+
+  // Image pixel under a stage point, within the image
+  imagePoint(point) {
+    const natural = this.naturalSize();
+    const clamp = (value, max) => Math.round(Math.min(max, Math.max(0, value)));
+    return {
+      x: clamp((point.x - this.dragOffset.x) / this.currentScale, natural.width),
+      y: clamp((point.y - this.dragOffset.y) / this.currentScale, natural.height)
+    };
+  }
+
+  startDrawing(point, target) {
+    const draft = document.createElement('div');
+    draft.className = 'image-popup-hotspot-draft';
+    this.overlay.querySelector('.image-popup-hotspots').appendChild(draft);
+
+    const start = this.imagePoint(point);
+    this.gesture = { type: 'draw', start, rect: { ...start, width: 0, height: 0 }, draft, target };
+    this.placeOnStage(draft, this.gesture.rect);
+  }
+
+  updateDrawing(point) {
+    const { start, draft } = this.gesture;
+    const end = this.imagePoint(point);
+    this.gesture.rect = {
+      x: Math.min(start.x, end.x),
+      y: Math.min(start.y, end.y),
+      width: Math.abs(end.x - start.x),
+      height: Math.abs(end.y - start.y)
+    };
+    this.placeOnStage(draft, this.gesture.rect);
+  }
+
+  // A dragged rectangle becomes a hotspot once it has a target; a click on a hotspot removes it
+  finishDrawing({ rect, draft, target }) {
+    draft.remove();
+
+    if (rect.width < this.tapSlop || rect.height < this.tapSlop) {
+      const link = target && target.closest('.image-popup-hotspot');
+      const hotspot = link && this.hotspots[link.dataset.hotspot];
+      if (hotspot && window.confirm(`Remove the hotspot "${hotspot.label}"?`)) {
+        this.hotspots.splice(Number(link.dataset.hotspot), 1);
+        this.renderHotspots();
+      }
+      return;
+    }
+
+    const destination = (window.prompt('Link to: a heading id of this page, <page>#<heading id>, or a class name') || '').trim();
+    if (!destination) return;
+    const label = window.prompt('Label shown on hover:', destination.split('#').pop());
+    // Class names start with a capital letter, heading ids never do
+    const link = /^[A-Z]\w*$/.test(destination) ? { class: destination } : { section: destination };
+    this.hotspots.push({ ...rect, label: label || destination, ...link });
+    this.renderHotspots();
+  }
+
+  // The open image's hotspots as its <image>.hotspots.json, including ones drawn just now
+  copyHotspots() {
+    const hotspots = this.hotspots.map(({ href, ...hotspot }) => hotspot);
+    const json = `${JSON.stringify({ hotspots }, null, 2)}\n`;
+    const file = this.itemKey(this.items[this.currentIndex]).replace(/\.[^.]+$/, '.hotspots.json');
+    const zoomInfo = this.overlay.querySelector('.image-popup-zoom-info');
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(json) : Promise.reject();
+
+    copied
+      .then(() => {
+        zoomInfo.textContent = `Copied: save as ${file} next to the source image`;
+      })
+      .catch(() => window.prompt(`Save as ${file} next to the source image:`, json));
+  }
+
+  handlePointerDown(e) {
+    if (e.button !== undefined && e.button !== 0) return;
+    // Leave the zoom controls to their click handlers
+    if (e.target.closest('.image-popup-controls')) return;
+    e.preventDefault();
+    this.stage.setPointerCapture(e.pointerId);
+    this.stopMomentum();
+
+    const point = this.stagePoint(e);
+    this.pointers.set(e.pointerId, point);
+
+    if (this.pointers.size === 1) {
+      if (this.authoring) {
+        this.startDrawing(point, e.target);
+      } else {
+        this.startPan(point, false, e.target);
+      }
+    } else if (this.pointers.size === 2) {
+      if (this.gesture && this.gesture.type === 'draw') {
+        this.gesture.draft.remove();
+      }
+      const [a, b] = [...this.pointers.values()];
+      this.gesture = {
+        type: 'pinch',
+        startDistance: Math.hypot(b.x - a.x, b.y - a.y) || 1,
+        startScale: this.currentScale,
+        last: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+      };
+    }
+  }
+
+  // `target` is where the pointer went down: the stage captures the pointer, so later events
+  // are all targeted at the stage
+  startPan(point, moved, target = null) {
+    this.gesture = { type: 'pan', start: point, last: point, moved, target };
+    this.velocity = { x: 0, y: 0 };
+    this.lastMoveTime = performance.now();
+    this.overlay.querySelector('.image-popup-image').classList.add('dragging');
+  }
+
+  handlePointerMove(e) {
+    if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+    const point = this.stagePoint(e);
+    this.pointers.set(e.pointerId, point);
+
+    if (this.gesture.type === 'pinch') {
+      const [a, b] = [...this.pointers.values()];
+      const midpoint = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      const distance = Math.hypot(b.x - a.x, b.y - a.y);
+      // Follow the fingers' midpoint, then scale around it
+      this.dragOffset.x += midpoint.x - this.gesture.last.x;
+      this.dragOffset.y += midpoint.y - this.gesture.last.y;
+      this.gesture.last = midpoint;
+      this.zoomAt(this.gesture.startScale * distance / this.gesture.startDistance, midpoint);
+      return;
+    }
+
+    if (this.gesture.type === 'draw') {
+      this.updateDrawing(point);
+      return;
+    }
+
+    const now = performance.now();
+    const dx = point.x - this.gesture.last.x;
+    const dy = point.y - this.gesture.last.y;
+    const dt = Math.max(now - this.lastMoveTime, 1);
+    // Smoothed velocity in px/ms, carried on as momentum after release
+    this.velocity = {
+      x: 0.8 * (dx / dt) + 0.2 * this.velocity.x,
+      y: 0.8 * (dy / dt) + 0.2 * this.velocity.y
+    };
+    this.lastMoveTime = now;
+    this.gesture.last = point;
+    if (Math.hypot(point.x - this.gesture.start.x, point.y - this.gesture.start.y) > this.tapSlop) {
+      this.gesture.moved = true;
+    }
+
+    this.dragOffset.x += dx;
+    this.dragOffset.y += dy;
+    this.updateImageTransform();
+  }
+
+  handlePointerUp(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+    this.pointers.delete(e.pointerId);
+    const gesture = this.gesture;
+    if (!gesture) return;
+
+    if (gesture.type === 'pinch') {
+      // Lifting one finger of a pinch continues as a pan with the other
+      if (this.pointers.size === 1) {
+        this.startPan([...this.pointers.values()][0], true);
+      } else {
+        this.gesture = null;
+      }
+      return;
+    }
+
+    this.gesture = null;
+    if (gesture.type === 'draw') {
+      this.finishDrawing(gesture);
+      return;
+    }
+
+    this.overlay.querySelector('.image-popup-image').classList.remove('dragging');
+    const point = this.stagePoint(e);
+
+    if (!gesture.moved) {
+      this.handleTap(point, gesture.target);
+    } else if (!this.handleSwipe(gesture.start, point) && performance.now() - this.lastMoveTime < 100 &&
+               !this.prefersReducedMotion()) {
+      this.startMomentum();
+    }
+  }
+
+  // Tap on a hotspot follows it and tap on the backdrop closes; double-tap (or double-click)
+  // toggles between fit and zoomed in
+  handleTap(point, target) {
+    const now = performance.now();
+    const lastTap = this.lastTap;
+    this.lastTap = { time: now, point };
+
+    if (lastTap && now - lastTap.time < this.doubleTapDelay &&
+        Math.hypot(point.x - lastTap.point.x, point.y - lastTap.point.y) < this.tapSlop * 3) {
+      this.lastTap = null;
+      this.toggleZoom(point);
+    } else if (target && target.closest('.image-popup-hotspot')) {
+      this.followHotspot(this.hotspots[target.closest('.image-popup-hotspot').dataset.hotspot]);
+    } else if (target === this.stage) {
+      this.closePopup();
+    }
+  }
+
+  // A horizontal swipe steps through the gallery while the image fits the stage width
+  handleSwipe(start, end) {
+    if (this.items.length < 2) return false;
+    if (this.naturalSize().width * this.currentScale > this.stageSize().width + 1) return false;
+
+    const deltaX = end.x - start.x;
+    const deltaY = end.y - start.y;
+    if (Math.abs(deltaX) > this.swipeThreshold && Math.abs(deltaX) > Math.abs(deltaY)) {
+      if (deltaX < 0) {
+        this.showNext();
+      } else {
+        this.showPrevious();
+      }
+      return true;
+    }
+    return false;
+  }
+
+  startMomentum() {
+    let last = performance.now();
+    const step = (now) => {
+      const dt = now - last;
+      last = now;
+      const decay = Math.pow(this.friction, dt / 16);
+      this.velocity.x *= decay;
+      this.velocity.y *= decay;
+      if (Math.hypot(this.velocity.x, this.velocity.y) < 0.02) {
+        this.momentumFrame = null;
+        return;
+      }
+
+      const before = { ...this.dragOffset };
+      this.dragOffset.x += this.velocity.x * dt;
+      this.dragOffset.y += this.velocity.y * dt;
+      this.clampOffset();
+      // Stop at the image edges instead of sliding along them
+      if (this.dragOffset.x === before.x) this.velocity.x = 0;
+      if (this.dragOffset.y === before.y) this.velocity.y = 0;
+      this.updateImageTransform();
+      this.momentumFrame = requestAnimationFrame(step);
+    };
+    this.momentumFrame = requestAnimationFrame(step);
+  }
+
+  stopMomentum() {
+    if (this.momentumFrame) {
+      cancelAnimationFrame(this.momentumFrame);
+      this.momentumFrame = null;
+    }
+  }
+
+  // Zoom to `scale`, keeping the image point under `point` (stage coordinates) in place
+  zoomAt(scale, point) {
+    const newScale = Math.min(this.maxScale, Math.max(this.minScale, scale));
+    const ratio = newScale / this.currentScale;
+    this.dragOffset = {
+      x: point.x - (point.x - this.dragOffset.x) * ratio,
+      y: point.y - (point.y - this.dragOffset.y) * ratio
+    };
+    this.currentScale = newScale;
+    this.updateImageTransform();
+  }
+
+  stageCenter() {
+    const { width, height } = this.stageSize();
+    return { x: width / 2, y: height / 2 };
+  }
+
+  zoomIn() {
+    this.zoomAt(this.currentScale * this.zoomFactor, this.stageCenter());
+  }
+
+  zoomOut() {
+    this.zoomAt(this.currentScale / this.zoomFactor, this.stageCenter());
+  }
+
+  toggleZoom(point) {
+    if (this.currentScale > this.fitScale * 1.05) {
+      this.resetZoom();
+    } else {
+      // Full resolution for images shrunk to fit, otherwise twice the fitted size
+      this.zoomAt(Math.max(1, this.fitScale * 2), point);
+    }
+  }
+
+  updateScaleLimits() {
+    const natural = this.naturalSize();
+    const stage = this.stageSize();
+    const fitWidth = stage.width / natural.width;
+    const fitHeight = stage.height / natural.height;
+
+    // Never enlarge an image just to fit it; small images open at their natural size
+    this.fitScale = Math.min(fitWidth, fitHeight, 1);
+    this.minScale = this.fitScale / 2;
+    // Derived from the resolution: stop once image pixels are maxPixelZoom screen pixels wide,
+    // but always allow filling the stage
+    this.maxScale = Math.max(this.maxPixelZoom / (window.devicePixelRatio || 1), fitWidth, fitHeight);
+  }
+
+  resetZoom() {
+    if (!this.overlay) return;
+    this.stopMomentum();
+    this.updateScaleLimits();
+    this.currentScale = this.fitScale;
+    this.dragOffset = { x: 0, y: 0 };
+    this.updateImageTransform();
+    this.overlay.querySelector('.image-popup-image').style.visibility = '';
+  }
+
+  fitToWidth() {
+    this.stopMomentum();
+    this.currentScale = Math.min(this.maxScale, this.stageSize().width / this.naturalSize().width);
+    // Start at the top of tall images
+    this.dragOffset = { x: 0, y: 0 };
+    this.updateImageTransform();
+  }
+
+  fitToHeight() {
+    this.stopMomentum();
+    this.currentScale = Math.min(this.maxScale, this.stageSize().height / this.naturalSize().height);
+    this.dragOffset = { x: 0, y: 0 };
+    this.updateImageTransform();
+  }
+
+  // Centre the image along an axis where it fits, otherwise keep the stage covered
+  clampOffset() {
+    const natural = this.naturalSize();
+    const stage = this.stageSize();
+    const width = natural.width * this.currentScale;
+    const height = natural.height * this.currentScale;
+
+    this.dragOffset.x = width <= stage.width
+      ? (stage.width - width) / 2
+      : Math.min(0, Math.max(stage.width - width, this.dragOffset.x));
+    this.dragOffset.y = height <= stage.height
+      ? (stage.height - height) / 2
+      : Math.min(0, Math.max(stage.height - height, this.dragOffset.y));
+  }
+
+  updateImageTransform() {
+    this.clampOffset();
+    const img = this.overlay.querySelector('.image-popup-image');
+    img.style.transform = `translate(${this.dragOffset.x}px, ${this.dragOffset.y}px) scale(${this.currentScale})`;
+    this.overlay.querySelector('.image-popup-tiles').style.transform = img.style.transform;
+    this.scheduleTileUpdate();
+    this.positionHotspots();
+    this.updateZoomInfo(this.overlay.querySelector('.image-popup-zoom-info'));
+    this.scheduleHashUpdate();
+    this.scheduleZoomAnnouncement();
+  }
+
+  updateZoomInfo(zoomInfo) {
+    zoomInfo.textContent = `Zoom: ${Math.round(this.currentScale * 100)}%`;
+  }
+
+  handleKeydown(e) {
+    switch (e.key) {
+      case 'Escape':
+        this.closePopup();
+        break;
+      case '+':
+      case '=':
+        e.preventDefault();
+        this.zoomIn();
+        break;
+      case '-':
+        e.preventDefault();
+        this.zoomOut();
+        break;
+      case '0':
+        e.preventDefault();
+        this.resetZoom();
+        break;
+      case 'Tab':
+        this.trapFocus(e);
+        break;
+      // Arrows pan a zoomed image; at fit size left and right step through the gallery
+      case 'ArrowRight':
+        e.preventDefault();
+        if (this.canPan('x')) {
+          this.panBy(-this.panStep, 0);
+        } else {
+          this.showNext();
+        }
+        break;
+      case 'ArrowLeft':
+        e.preventDefault();
+        if (this.canPan('x')) {
+          this.panBy(this.panStep, 0);
+        } else {
+          this.showPrevious();
+        }
+        break;
+      case 'ArrowDown':
+        e.preventDefault();
+        this.panBy(0, -this.panStep);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this.panBy(0, this.panStep);
+        break;
+      case 'PageDown':
+        e.preventDefault();
+        this.showNext();
+        break;
+      case 'PageUp':
+        e.preventDefault();
+        this.showPrevious();
+        break;
+    }
+  }
+
+  closePopup() {
+    if (!this.overlay) return;
+    this.removePopup();
+
+    if (this.hasHistoryEntry) {
+      // Step back off the popup's entry, so Forward reopens it
+      this.hasHistoryEntry = false;
+      this.ignoreNextPopState = true;
+      window.history.back();
+    }
+  }
+
+  removePopup() {
+    if (this.overlay) {
+      clearTimeout(this.hashTimer);
+      clearTimeout(this.announceTimer);
+      cancelAnimationFrame(this.tileFrame);
+      this.tileFrame = null;
+      this.tiles = null;
+      this.hotspots = [];
+      this.authoring = false;
+      this.stopMomentum();
+      this.pointers.clear();
+      this.gesture = null;
+      document.body.style.overflow = '';
+      document.removeEventListener('keydown', this.onKeydown);
+      this.overlay.remove();
+      this.overlay = null;
+      this.stage = null;
+      this.currentImage = null;
+
+      if (this.returnFocus && this.returnFocus.isConnected) {
+        this.returnFocus.focus({ preventScroll: true });
+      }
+      this.returnFocus = null;
+    }
+  }
+}
+
+// One viewer for the whole site; it only touches the DOM once connected in the browser
+export const imageViewer = new ImageViewer();
@@ -0,0 +1,32 @@
+import Link from 'next/link'
+import { RouteSwitcher } from './route-switcher'
+import { LOCALES, pageLanguage } from '../scripts/lib/locales'
+
+// public/languages.json, written by scripts/process-docs.js and inlined by next.config.js:
+// English first, then every locale
+const LANGUAGES = JSON.parse(process.env.DOCS_LANGUAGES || '[]')
+
+// Language of the page at a route; pages without a translation are in English
+export function languageOfRoute(route) {
+  return pageLanguage(route, LANGUAGES)
+}
+
+// Language dropdown in the navbar
+export function LanguageSwitcher() {
+  return <RouteSwitcher options={LANGUAGES} label="Documentation language" className="language-switcher" />
+}
+
+// Opens locale pages that are shown in English or translated from an older English page,
+// in the page's language, with a link to the English page
+export function TranslationNotice({ locale, status, english }) {
+  const language = LOCALES[locale]
+
+  return (
+    <div className={`translation-notice translation-notice-${status}`} role="note" lang={locale}>
+      <span>{language[status]}</span>
+      <Link href={english} hrefLang="en">
+        {language.readEnglish} →
+      </Link>
+    </div>
+  )
+}
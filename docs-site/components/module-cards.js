@@ -0,0 +1,28 @@
+import Link from 'next/link'
+import { PatternBadges } from './page-header'
+
+// Home page card grid, generated by scripts/process-docs.js from each module's page metadata
+export function ModuleCards({ children }) {
+  return <div className="module-cards">{children}</div>
+}
+
+export function ModuleCard({ href, title, icon, module, patterns = [], summary, image }) {
+  return (
+    <Link href={href} className="module-card">
+      {image && (
+        <div className="module-card-image">
+          <img src={image} alt="" loading="lazy" />
+        </div>
+      )}
+      <div className="module-card-body">
+        <h3 className="module-card-title">
+          {icon && <span aria-hidden="true">{icon} </span>}
+          {title}
+        </h3>
+        {module && module !== title && <p className="module-card-module">{module}</p>}
+        <PatternBadges patterns={patterns} />
+        {summary && <p className="module-card-summary">{summary}</p>}
+      </div>
+    </Link>
+  )
+}
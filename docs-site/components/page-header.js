@@ -0,0 +1,46 @@
+import { useConfig } from 'nextra-theme-docs'
+
+export function PatternBadges({ patterns }) {
+  if (patterns.length === 0) {
+    return null
+  }
+
+  return (
+    <ul className="page-header-patterns" aria-label="Design patterns">
+      {patterns.map(pattern => (
+        <li key={pattern} className="page-header-badge">{pattern}</li>
+      ))}
+    </ul>
+  )
+}
+
+// Pattern badges, module and author lifted from the Notion property header into frontmatter
+// by scripts/process-docs.js. The print book passes each chapter's properties instead.
+export function PageHeader(props) {
+  const { frontMatter } = useConfig()
+  const { patterns = [], module, author } = { ...frontMatter, ...props }
+
+  if (patterns.length === 0 && !module && !author) {
+    return null
+  }
+
+  return (
+    <div className="page-header">
+      <PatternBadges patterns={patterns} />
+      <dl className="page-header-meta">
+        {module && (
+          <div>
+            <dt>Module</dt>
+            <dd>{module}</dd>
+          </div>
+        )}
+        {author && (
+          <div>
+            <dt>Author</dt>
+            <dd>{author}</dd>
+          </div>
+        )}
+      </dl>
+    </div>
+  )
+}
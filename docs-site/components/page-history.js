@@ -0,0 +1,52 @@
+import { useConfig } from 'nextra-theme-docs'
+
+function SectionList({ sections }) {
+  if (sections.length === 0) {
+    return null
+  }
+
+  return (
+    <ul className="page-history-sections">
+      {sections.map(({ heading, id, change }, index) => (
+        // Removed sections have no id, and headings can repeat
+        <li key={id ? `${change}-${id}` : `${change}-${index}`}>
+          <span className={`page-history-change page-history-change-${change}`}>{change}</span>
+          {id ? <a href={`#${id}`}>{heading}</a> : heading}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// The commits that changed the page, newest first, with the sections each one touched. Read
+// from the frontmatter scripts/process-docs.js writes from the git history of the source file.
+export function PageHistory() {
+  const { frontMatter } = useConfig()
+  const { history = [], lastUpdated, lastUpdatedBy } = frontMatter
+
+  if (history.length === 0) {
+    return null
+  }
+
+  return (
+    <details className="page-history">
+      <summary>
+        Last updated <time dateTime={lastUpdated}>{lastUpdated}</time>
+        {lastUpdatedBy && ` by ${lastUpdatedBy}`} · {history.length} change(s)
+      </summary>
+      <ol className="page-history-commits">
+        {history.map(({ commit, date, author, subject, added, sections }) => (
+          <li key={commit}>
+            <div className="page-history-commit">
+              <strong>{subject}</strong>
+              <span className="page-history-meta">
+                <time dateTime={date}>{date}</time> · {author} · <code>{commit}</code>
+              </span>
+            </div>
+            {added ? <p className="page-history-added">Page added</p> : <SectionList sections={sections} />}
+          </li>
+        ))}
+      </ol>
+    </details>
+  )
+}
@@ -0,0 +1,38 @@
+import { useRouter } from 'next/router'
+
+// The option a route belongs to, and the page slug within it. Options are
+// { name, label, route, pages }, the one with the empty route first.
+function locate(options, pathname) {
+  const option = options.find(({ route }) => route && (pathname === route || pathname.startsWith(`${route}/`))) || options[0]
+  return { option, page: pathname.slice(option.route.length).replace(/^\/|\/$/g, '') }
+}
+
+// Navbar dropdown between route prefixes, such as versions or languages. Switching keeps the
+// current page when the other option has it, and opens that option's first page otherwise.
+export function RouteSwitcher({ options, label, className }) {
+  const router = useRouter()
+
+  if (options.length < 2) {
+    return null
+  }
+
+  const { option, page } = locate(options, router.pathname)
+  const handleChange = (event) => {
+    const target = options.find(({ name }) => name === event.target.value)
+    const route = page && target.pages.includes(page) ? `${target.route}/${page}` : target.route
+    router.push(route || '/')
+  }
+
+  return (
+    <select
+      className={`route-switcher ${className}`}
+      aria-label={label}
+      value={option.name}
+      onChange={handleChange}
+    >
+      {options.map(({ name, label: optionLabel }) => (
+        <option key={name} value={name}>{optionLabel}</option>
+      ))}
+    </select>
+  )
+}
@@ -0,0 +1,321 @@
+import { useEffect, useId, useMemo, useRef, useState } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import { CONTENT_TYPES, CODE_TYPES, search, highlight } from '../scripts/lib/search-terms'
+
+const DROPDOWN_RESULTS = 8
+const FACETS = [
+  { key: 'type', title: 'Content' },
+  { key: 'pattern', title: 'Pattern' },
+  { key: 'page', title: 'Page' }
+]
+
+// search-index.json is written by scripts/process-docs.js and fetched once, the first time a
+// reader focuses a search box, so pages do not pay for it up front
+let indexRequest = null
+
+function loadSearchIndex(basePath) {
+  if (!indexRequest) {
+    indexRequest = fetch(`${basePath}/search-index.json`)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        return response.json()
+      })
+      .catch(error => {
+        // Let the next focus try again
+        indexRequest = null
+        throw error
+      })
+  }
+  return indexRequest
+}
+
+function useSearchIndex() {
+  const { basePath } = useRouter()
+  const [state, setState] = useState({ index: null, error: null })
+
+  const load = () => {
+    if (state.index) return
+    loadSearchIndex(basePath).then(
+      index => setState({ index, error: null }),
+      error => setState({ index: null, error })
+    )
+  }
+
+  return { ...state, load }
+}
+
+function resultHref(result) {
+  const { page, document } = result
+  return document.section ? `/${page.slug}#${document.section}` : `/${page.slug}`
+}
+
+function searchPageHref(query, filters = {}) {
+  const params = new URLSearchParams({ q: query })
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value)
+  })
+  return `/search?${params}`
+}
+
+// The matching part of a section or snippet, with the query words marked
+function Snippet({ document, terms }) {
+  const { parts, truncatedStart, truncatedEnd } = highlight(document, terms)
+  const content = parts.map((part, i) => (part.match ? <mark key={i}>{part.text}</mark> : part.text))
+
+  if (CODE_TYPES.has(document.type)) {
+    return <pre className="search-snippet search-snippet-code"><code>{content}</code></pre>
+  }
+  return (
+    <p className="search-snippet">
+      {truncatedStart && '… '}
+      {content}
+      {truncatedEnd && ' …'}
+    </p>
+  )
+}
+
+function ResultTitle({ result }) {
+  const { page, document } = result
+  return (
+    <span className="search-result-title">
+      <span className="search-result-page">{page.title}</span>
+      {document.section && <span className="search-result-heading">{document.heading}</span>}
+      <span className={`search-result-type search-result-type-${document.type}`}>{CONTENT_TYPES[document.type]}</span>
+    </span>
+  )
+}
+
+// Replaces Nextra's search in the navbar (theme.config.js). Matches prose, code and diagram
+// text as the reader types; Enter opens the selected result or, with none selected, the
+// search page with every result and its filters.
+export function SearchBox({ className }) {
+  const router = useRouter()
+  const { index, error, load } = useSearchIndex()
+  const inputRef = useRef(null)
+  const listId = useId()
+  const [query, setQuery] = useState('')
+  const [open, setOpen] = useState(false)
+  const [active, setActive] = useState(-1)
+
+  const found = useMemo(() => (index && query.trim() ? search(index, query) : null), [index, query])
+  const results = found ? found.results.slice(0, DROPDOWN_RESULTS) : []
+
+  // "/" or Ctrl+K (Cmd+K) focuses the box from anywhere outside a form field
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const field = e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')
+      if (field) return
+      // The navbar and the mobile menu each have a box; only the visible one takes focus
+      if (inputRef.current.offsetParent === null) return
+      if (e.key === '/' || (e.key === 'k' && (e.metaKey || e.ctrlKey))) {
+        e.preventDefault()
+        inputRef.current.focus()
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [])
+
+  useEffect(() => {
+    const close = () => {
+      setOpen(false)
+      setQuery('')
+    }
+    router.events.on('routeChangeStart', close)
+    return () => router.events.off('routeChangeStart', close)
+  }, [router.events])
+
+  const go = (href) => {
+    inputRef.current.blur()
+    router.push(href)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setActive(current => Math.max(-1, Math.min(results.length - 1, current + step)))
+    } else if (e.key === 'Enter' && query.trim()) {
+      e.preventDefault()
+      go(active >= 0 && results[active] ? resultHref(results[active]) : searchPageHref(query))
+    } else if (e.key === 'Escape') {
+      setOpen(false)
+      inputRef.current.blur()
+    }
+  }
+
+  let status = null
+  if (error) {
+    status = 'Failed to load search index.'
+  } else if (query.trim() && !index) {
+    status = 'Loading…'
+  } else if (found && found.results.length === 0) {
+    status = 'No results found.'
+  }
+
+  return (
+    <div className={['search-box', className].filter(Boolean).join(' ')}>
+      <input
+        ref={inputRef}
+        type="search"
+        className="search-box-input"
+        placeholder="Search docs and code…"
+        aria-label="Search documentation"
+        role="combobox"
+        aria-expanded={open && query.trim() !== ''}
+        aria-controls={listId}
+        aria-activedescendant={active >= 0 ? `${listId}-${active}` : undefined}
+        value={query}
+        onFocus={() => {
+          load()
+          setOpen(true)
+        }}
+        onBlur={() => setOpen(false)}
+        onChange={(e) => {
+          setQuery(e.target.value)
+          setActive(-1)
+          setOpen(true)
+        }}
+        onKeyDown={handleKeyDown}
+      />
+      {!open && <kbd className="search-box-shortcut">/</kbd>}
+      {open && query.trim() !== '' && (
+        <div className="search-box-dropdown">
+          {status && <p className="search-box-status">{status}</p>}
+          {results.length > 0 && (
+            <ul id={listId} role="listbox">
+              {results.map((result, i) => (
+                <li
+                  key={result.id}
+                  id={`${listId}-${i}`}
+                  role="option"
+                  aria-selected={i === active}
+                  className={i === active ? 'search-result search-result-active' : 'search-result'}
+                  // Keep focus in the input so onBlur does not close the list before the click
+                  onMouseDown={(e) => e.preventDefault()}
+                  onMouseEnter={() => setActive(i)}
+                  onClick={() => go(resultHref(result))}
+                >
+                  <ResultTitle result={result} />
+                  <Snippet document={result.document} terms={found.terms} />
+                </li>
+              ))}
+            </ul>
+          )}
+          {found && found.results.length > 0 && (
+            <Link
+              href={searchPageHref(query)}
+              className="search-box-all"
+              onMouseDown={(e) => e.preventDefault()}
+            >
+              See all {found.results.length} result(s) and filters →
+            </Link>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function Facet({ facet, title, options, selected, onSelect }) {
+  if (options.length === 0) return null
+
+  return (
+    <fieldset className="search-facet">
+      <legend>{title}</legend>
+      <label>
+        <input type="radio" name={facet} checked={!selected} onChange={() => onSelect(null)} />
+        All
+      </label>
+      {options.map(option => (
+        <label key={option.value}>
+          <input
+            type="radio"
+            name={facet}
+            checked={selected === option.value}
+            onChange={() => onSelect(option.value)}
+          />
+          {option.label}
+          <span className="search-facet-count">{option.count}</span>
+        </label>
+      ))}
+    </fieldset>
+  )
+}
+
+// pages/search.mdx: every result of a query, filtered by content type, pattern and page.
+// The query and filters live in the URL (/search?q=…&type=java), so searches can be shared.
+export function SearchPage() {
+  const router = useRouter()
+  const { index, error, load } = useSearchIndex()
+  const [query, setQuery] = useState('')
+
+  useEffect(load, [])
+  useEffect(() => {
+    if (router.isReady) setQuery(router.query.q || '')
+  }, [router.isReady, router.query.q])
+
+  const filters = {
+    type: router.query.type || null,
+    pattern: router.query.pattern || null,
+    page: router.query.page || null
+  }
+  const found = useMemo(
+    () => (index && query.trim() ? search(index, query, filters) : null),
+    [index, query, filters.type, filters.pattern, filters.page]
+  )
+
+  const update = (nextQuery, nextFilters) => {
+    router.replace(searchPageHref(nextQuery, nextFilters), undefined, { shallow: true, scroll: false })
+  }
+
+  return (
+    <div className="search-page">
+      <input
+        type="search"
+        className="search-page-input"
+        placeholder="Search prose, Java, SQL and diagrams…"
+        aria-label="Search documentation"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value)
+          update(e.target.value, filters)
+        }}
+      />
+      {error && <p className="search-page-status">Failed to load search index.</p>}
+      {!error && !index && <p className="search-page-status">Loading…</p>}
+      {found && (
+        <div className="search-page-layout">
+          <aside className="search-facets" aria-label="Filters">
+            {FACETS.map(({ key, title }) => (
+              <Facet
+                key={key}
+                facet={key}
+                title={title}
+                options={found.facets[key]}
+                selected={filters[key]}
+                onSelect={(value) => update(query, { ...filters, [key]: value })}
+              />
+            ))}
+          </aside>
+          <div className="search-page-results">
+            <p className="search-page-status" aria-live="polite">
+              {found.results.length === 0 ? 'No results found.' : `${found.results.length} result(s)`}
+            </p>
+            <ul>
+              {found.results.map(result => (
+                <li key={result.id} className="search-result">
+                  <Link href={resultHref(result)}>
+                    <ResultTitle result={result} />
+                  </Link>
+                  <Snippet document={result.document} terms={found.terms} />
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
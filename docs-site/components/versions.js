@@ -0,0 +1,26 @@
+import Link from 'next/link'
+import { RouteSwitcher } from './route-switcher'
+
+// public/versions.json, written by scripts/process-docs.js and inlined by next.config.js: the
+// latest documentation first, then a snapshot per version tag
+const VERSIONS = JSON.parse(process.env.DOCS_VERSIONS || '[]')
+
+// Version dropdown in the navbar
+export function VersionSwitcher() {
+  return <RouteSwitcher options={VERSIONS} label="Documentation version" className="version-switcher" />
+}
+
+// Opens every page of an older version's snapshot, pointing to the same page in the latest
+// documentation, or to its home page when the page no longer exists
+export function VersionBanner({ version, date, latest }) {
+  return (
+    <div className="version-banner" role="note">
+      <span>
+        You are reading the documentation of <strong>{version}</strong>{date && `, published ${date}`}.
+      </span>
+      <Link href={latest}>
+        {latest === '/' ? 'Go to the latest documentation' : 'See this page in the latest version'} →
+      </Link>
+    </div>
+  )
+}
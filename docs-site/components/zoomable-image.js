@@ -0,0 +1,96 @@
+import { useEffect, useRef, useState } from 'react'
+import Image from 'next/image'
+import { imageViewer } from './image-viewer'
+
+// Markdown images with this title, ![Logo](/images/logo.png "no-zoom"), stay plain images
+const NO_ZOOM_TITLE = 'no-zoom'
+
+// Props that make an element open the image viewer by click, Enter or Space
+export function useZoomable(ref, { alt, isDiagram = false, enabled = true }) {
+  const [zoomable, setZoomable] = useState(false)
+
+  useEffect(() => {
+    // Images inside links (e.g. [![badge](…)](…)) navigate instead
+    if (!enabled || ref.current.closest('a')) return
+    setZoomable(true)
+    const unregister = imageViewer.register(ref.current, { alt, isDiagram })
+
+    return () => {
+      unregister()
+      setZoomable(false)
+    }
+  }, [ref, alt, isDiagram, enabled])
+
+  if (!zoomable) {
+    return {}
+  }
+
+  const open = () => imageViewer.open(ref.current)
+  return {
+    role: 'button',
+    tabIndex: 0,
+    'aria-label': `${alt || (isDiagram ? 'Diagram' : 'Image')} (open in image viewer)`,
+    onClick: open,
+    onKeyDown: (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault()
+        open()
+      }
+    }
+  }
+}
+
+// Every markdown image in the documentation pages, via theme.config.js and next.config.js.
+// Images that scripts/process-docs.js resized are served as a <picture> of AVIF and WebP
+// copies, over a blurred placeholder until they load; the image viewer opens `src`, the original.
+export function ZoomableImage({
+  title,
+  'data-no-zoom': noZoomAttribute,
+  className,
+  avifSrcSet,
+  webpSrcSet,
+  placeholder,
+  sizes,
+  ...props
+}) {
+  const ref = useRef(null)
+  const [loaded, setLoaded] = useState(false)
+  const noZoom = title === NO_ZOOM_TITLE || noZoomAttribute !== undefined
+  const zoomableProps = useZoomable(ref, { alt: props.alt, enabled: !noZoom })
+
+  // Images that finished loading before hydration fire no load event React could see
+  useEffect(() => {
+    if (ref.current.complete) setLoaded(true)
+  }, [])
+
+  // Statically imported images keep going through next/image, as in Nextra's default mapping
+  const Tag = typeof props.src === 'object' ? Image : 'img'
+  const classes = [className, zoomableProps.role && 'clickable-image'].filter(Boolean).join(' ')
+  const style = placeholder && !loaded
+    ? { ...props.style, backgroundImage: `url(${placeholder})`, backgroundSize: 'cover' }
+    : props.style
+
+  const image = (
+    <Tag
+      ref={ref}
+      {...props}
+      style={style}
+      title={noZoom ? undefined : title}
+      className={classes || undefined}
+      onLoad={() => setLoaded(true)}
+      {...zoomableProps}
+    />
+  )
+
+  if (!avifSrcSet && !webpSrcSet) {
+    return image
+  }
+
+  return (
+    <picture>
+      {avifSrcSet && <source type="image/avif" srcSet={avifSrcSet} sizes={sizes} />}
+      {webpSrcSet && <source type="image/webp" srcSet={webpSrcSet} sizes={sizes} />}
+      {image}
+    </picture>
+  )
+}
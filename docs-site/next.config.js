@@ -1,6 +1,72 @@
+const fs = require('fs')
+const path = require('path')
+
+// Resized copies of the published images, written by scripts/process-docs.js
+function loadImageVariants() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'public/images/variants.json'), 'utf8'))
+  } catch (error) {
+    return {}
+  }
+}
+
+// Markdown images render through the ZoomableImage component of theme.config.js. Nextra maps
+// `img` itself and its mapping wins over the theme's, so the elements are renamed instead.
+// They load lazily, and images with resized copies get what their <picture> needs.
+function rehypeZoomableImages({ variants }) {
+  return (tree) => {
+    const visit = (node) => {
+      if (node.type === 'element' && node.tagName === 'img') {
+        node.tagName = 'ZoomableImage'
+        Object.assign(node.properties, { loading: 'lazy', decoding: 'async' })
+
+        const variant = variants[node.properties.src]
+        if (variant) {
+          Object.assign(node.properties, {
+            width: variant.width,
+            height: variant.height,
+            sizes: variant.sizes,
+            avifSrcSet: variant.avif,
+            webpSrcSet: variant.webp,
+            placeholder: variant.placeholder
+          })
+        }
+      }
+      (node.children || []).forEach(visit)
+    }
+    visit(tree)
+  }
+}
+
+// Latest documentation and version snapshots, written by scripts/process-docs.js for the
+// version switcher (components/versions.js)
+function loadVersions() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'public/versions.json'), 'utf8'))
+  } catch (error) {
+    return []
+  }
+}
+
+// English and the translations, written by scripts/process-docs.js for the language switcher
+// (components/languages.js)
+function loadLanguages() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'public/languages.json'), 'utf8'))
+  } catch (error) {
+    return []
+  }
+}
+
 const withNextra = require('nextra')({
   theme: 'nextra-theme-docs',
-  themeConfig: './theme.config.js'
+  themeConfig: './theme.config.js',
+  // The navbar search uses public/search-index.json (components/search.js) instead
+  flexsearch: false,
+  mdxOptions: {
+    // Read once here, like the version and language lists below, rather than once per page
+    rehypePlugins: [[rehypeZoomableImages, { variants: loadImageVariants() }]]
+  }
 })
 
 module.exports = withNextra({
@@ -11,6 +77,10 @@ module.exports = withNextra({
   },
   trailingSlash: true,
   reactStrictMode: true,
+  env: {
+    DOCS_VERSIONS: JSON.stringify(loadVersions()),
+    DOCS_LANGUAGES: JSON.stringify(loadLanguages())
+  },
   async redirects() {
     return [
       {
@@ -0,0 +1,16 @@
+import { Html, Head, Main, NextScript } from 'next/document'
+import { languageOfRoute } from '../components/languages'
+
+// Translated pages live under /si/, /ta/; the language of every other page, including the
+// untranslated ones there, is English
+export default function Document({ __NEXT_DATA__ }) {
+  return (
+    <Html lang={languageOfRoute(__NEXT_DATA__.page)}>
+      <Head />
+      <body>
+        <Main />
+        <NextScript />
+      </body>
+    </Html>
+  )
+}
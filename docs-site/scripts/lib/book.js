@@ -0,0 +1,169 @@
+const { scanLines, collectHeadings } = require('./slugger');
+const { describeImage } = require('./images');
+const { isGeneratedPage, generatedMarker } = require('./output');
+
+const BOOK_TITLE = 'GlobeMed Healthcare Management System';
+const IMPORT_REGEX = /^import\s.+\sfrom\s+['"][^'"]+['"];?\s*$/;
+const IMAGE_LINE_REGEX = /^!\[([^\]]*)\]\([^)]*\)\s*$/;
+const DIAGRAM_LINE_REGEX = /^<Diagram\s.*\/>\s*$/;
+const DIAGRAM_TITLE_REGEX = /\stitle=\{("(?:[^"\\]|\\.)*")\}/;
+// The history panel and its import; the book has no page history
+const HISTORY_LINE_REGEX = /^(?:<PageHistory \/>|import \{ PageHistory \} from\s.+)\s*$/;
+// Links to a page, a page's heading or a heading of the same page
+const LINK_TARGET_REGEX = /\]\((?:\/([^)\s#/]+)\/?)?(?:#([^)\s]+))?\)/g;
+const BOOK_IMPORTS = [
+  "import { PageHeader } from '../components/page-header'",
+  "import { BookToolbar } from '../components/book-toolbar'"
+];
+
+function chapterId(slug) {
+  return `chapter-${slug}`;
+}
+
+// A generated page without its frontmatter, generated marker and history panel, and without its
+// imports, which the book collects at the top
+function splitPage(mdx) {
+  const imports = [];
+  const body = [];
+  scanLines(mdx.replace(/^---\n[\s\S]*?\n---\n/, '')).forEach(({ text, inCode }) => {
+    if (!inCode && HISTORY_LINE_REGEX.test(text)) {
+      return;
+    }
+    if (!inCode && IMPORT_REGEX.test(text)) {
+      imports.push(text.trim());
+    } else if (inCode || !isGeneratedPage(text)) {
+      body.push(text);
+    }
+  });
+  return { imports, body: body.join('\n').trim() };
+}
+
+function captionFigure(line, number, description) {
+  const caption = `Figure ${number}${description ? `. ${description}` : ''}`;
+  // A JSON string is a valid JSX expression, so the caption needs no MDX escaping
+  return `<figure className="book-figure">\n\n${line}\n\n<figcaption>{${JSON.stringify(caption)}}</figcaption>\n</figure>`;
+}
+
+// Number every image and diagram across the book, and give <PageHeader /> the chapter's
+// properties, since the book's own frontmatter has none
+function prepareChapter(body, properties, figures) {
+  return scanLines(body).map(({ text, inCode }) => {
+    if (inCode) return text;
+
+    if (text.trim() === '<PageHeader />') {
+      const props = ['patterns', 'module', 'author']
+        .filter(key => properties[key])
+        .map(key => ` ${key}={${JSON.stringify(properties[key])}}`)
+        .join('');
+      return `<PageHeader${props} />`;
+    }
+
+    const image = text.match(IMAGE_LINE_REGEX);
+    if (image) {
+      figures.push(describeImage(image[1]));
+      return captionFigure(text, figures.length, figures[figures.length - 1]);
+    }
+
+    if (DIAGRAM_LINE_REGEX.test(text)) {
+      const title = text.match(DIAGRAM_TITLE_REGEX);
+      figures.push(title ? JSON.parse(title[1]) : null);
+      return captionFigure(text, figures.length, figures[figures.length - 1]);
+    }
+
+    return text;
+  }).join('\n');
+}
+
+// Point links between pages at the chapter or heading inside the book. Links to other routes
+// (the class reference, the pattern catalogue) stay site links.
+function linkWithinBook(content, slug, ids) {
+  return scanLines(content).map(({ text, inCode }) => {
+    if (inCode) return text;
+    return text.replace(LINK_TARGET_REGEX, (match, page, hash) => {
+      if (!page && !hash) return match;
+      const target = page || slug;
+      if (hash) {
+        const id = ids.get(`${target}#${hash}`);
+        return id ? `](#${id})` : match;
+      }
+      return ids.has(`${target}#`) ? `](#${chapterId(target)})` : match;
+    });
+  }).join('\n');
+}
+
+// Every documentation page as one book, in sidebar order. `pages` are { slug, title,
+// properties, mdx } with the generated MDX of each page. Heading ids are recomputed over the
+// whole book, the way Nextra will number duplicates, so links and the contents resolve.
+// Returns { title, imports, chapters: [{ slug, title, content, headings }], figures, ids }, where ids maps
+// "<slug>#<page heading id>" to the book's id and "<slug>#" to the chapter's own.
+function buildBook(pages) {
+  const figures = [];
+  const imports = new Set(BOOK_IMPORTS);
+  const chapters = pages.map(page => {
+    const { imports: pageImports, body } = splitPage(page.mdx);
+    pageImports.forEach(line => imports.add(line));
+    return { slug: page.slug, title: page.title, content: prepareChapter(body, page.properties, figures) };
+  });
+
+  const bookHeadings = collectHeadings(chapters.map(chapter => chapter.content).join('\n\n'));
+  const ids = new Map();
+  let position = 0;
+  chapters.forEach(chapter => {
+    ids.set(`${chapter.slug}#`, chapterId(chapter.slug));
+    chapter.headings = collectHeadings(chapter.content).map(heading => {
+      const bookHeading = bookHeadings[position++];
+      ids.set(`${chapter.slug}#${heading.id}`, bookHeading.id);
+      return { ...heading, id: bookHeading.id };
+    });
+  });
+  chapters.forEach(chapter => {
+    chapter.content = linkWithinBook(chapter.content, chapter.slug, ids);
+  });
+
+  return { title: BOOK_TITLE, imports: [...imports], chapters, figures, ids };
+}
+
+// The H2 headings listed under a chapter in the book's contents, without Notion's own
+// per-page "Table of Contents"
+function contentsEntries(chapter) {
+  return chapter.headings.filter(heading => heading.depth === 2 && !/^table\s+of\s+contents?$/i.test(heading.value));
+}
+
+// pages/print.mdx: the book with a contents list, one chapter per page when printed
+function renderPrintBook(book, { epubUrl }) {
+  const contents = book.chapters.map((chapter, index) => {
+    const sections = contentsEntries(chapter).map(heading => `   - [${heading.value.replace(/([[\]])/g, '\\$1')}](#${heading.id})`);
+    return [`${index + 1}. [${chapter.title.replace(/([[\]])/g, '\\$1')}](#${chapterId(chapter.slug)})`, ...sections].join('\n');
+  });
+  // Chapters are wrapped in JSX, so their markdown needs blank lines around it
+  const chapters = book.chapters.map(chapter =>
+    `<section id="${chapterId(chapter.slug)}" className="book-chapter">\n\n${chapter.content}\n\n</section>`);
+
+  return `---
+title: "Print Book"
+description: "The complete GlobeMed Healthcare Management System documentation on one page, for printing or saving as PDF"
+---
+
+${generatedMarker('every documentation page')}
+
+${book.imports.join('\n')}
+
+# ${book.title}
+
+<BookToolbar epub="${epubUrl}" />
+
+{/* Not a markdown heading, so it does not shift the heading ids of the chapters */}
+<h2 className="book-contents-title">Contents</h2>
+
+${contents.join('\n')}
+
+${chapters.join('\n\n')}
+`;
+}
+
+module.exports = {
+  chapterId,
+  contentsEntries,
+  buildBook,
+  renderPrintBook
+};
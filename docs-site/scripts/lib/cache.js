@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_VERSION = 5;
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// Content-hash cache persisted between runs of process-docs.
+//   files  - absolute path -> { mtimeMs, size, hash }, so unchanged files are not re-hashed
+//   pages  - page slug -> { key, problems: { links, mdx, diagrams } } for the inputs the page was last generated from
+//   images - published file -> hash of the source image it was copied from
+//   diagrams - hash of a diagram's source -> { svg, title } rendered from it
+//   tiles  - published file -> key of the tile pyramid generated for it
+//   variants - published file -> { key, variants } for the resized copies generated for it
+class BuildCache {
+  constructor(cachePath, { enabled = true } = {}) {
+    this.cachePath = cachePath;
+    this.enabled = enabled;
+    this.data = { version: CACHE_VERSION, files: {}, pages: {}, images: {}, diagrams: {}, tiles: {}, variants: {} };
+
+    if (enabled && fs.existsSync(cachePath)) {
+      try {
+        const stored = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+        if (stored.version === CACHE_VERSION) {
+          this.data = stored;
+        }
+      } catch (error) {
+        console.log(`⚠️  Ignoring unreadable cache ${cachePath}: ${error.message}`);
+      }
+    }
+  }
+
+  fileHash(filePath) {
+    const stat = fs.statSync(filePath);
+    const cached = this.data.files[filePath];
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      return cached.hash;
+    }
+
+    const hash = hashContent(fs.readFileSync(filePath));
+    this.data.files[filePath] = { mtimeMs: stat.mtimeMs, size: stat.size, hash };
+    return hash;
+  }
+
+  page(slug, key) {
+    const cached = this.data.pages[slug];
+    return this.enabled && cached && cached.key === key ? cached : null;
+  }
+
+  setPage(slug, key, problems) {
+    this.data.pages[slug] = { key, problems };
+  }
+
+  isImageFresh(file, hash) {
+    return this.enabled && this.data.images[file] === hash;
+  }
+
+  setImage(file, hash) {
+    this.data.images[file] = hash;
+  }
+
+  areTilesFresh(file, key) {
+    return this.enabled && this.data.tiles[file] === key;
+  }
+
+  setTiles(file, key) {
+    this.data.tiles[file] = key;
+  }
+
+  variants(file, key) {
+    const cached = this.data.variants[file];
+    return this.enabled && cached && cached.key === key ? cached.variants : null;
+  }
+
+  setVariants(file, key, variants) {
+    this.data.variants[file] = { key, variants };
+  }
+
+  diagram(key) {
+    return this.enabled ? this.data.diagrams[key] || null : null;
+  }
+
+  setDiagram(key, rendered) {
+    this.data.diagrams[key] = rendered;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+    fs.writeFileSync(this.cachePath, JSON.stringify(this.data));
+  }
+}
+
+module.exports = {
+  BuildCache,
+  hashContent
+};
@@ -0,0 +1,124 @@
+const { scanLines } = require('./slugger');
+
+const CALLOUT_IMPORT = "import { Callout } from 'nextra-theme-docs'";
+
+// Leading emoji of a callout, including variation selectors and ZWJ sequences
+const EMOJI_REGEX = /^(\p{Extended_Pictographic}\uFE0F?(?:\u200D\p{Extended_Pictographic}\uFE0F?)*)\s*/u;
+
+// Emoji used by the ADDING-DOCS.md callout convention -> Nextra Callout type
+const EMOJI_TYPES = {
+  '💡': 'info',
+  'ℹ️': 'info',
+  '📝': 'info',
+  '⚠️': 'warning',
+  '❗': 'warning',
+  '❌': 'error',
+  '🚫': 'error',
+  '✅': 'default'
+};
+
+function calloutFor(body) {
+  const lines = [...body];
+  while (lines.length && lines[0].trim() === '') lines.shift();
+  while (lines.length && lines[lines.length - 1].trim() === '') lines.pop();
+
+  // Newer Notion exports put the callout icon in as an <img>, it would render as a broken image
+  if (lines.length && /^<img\s[^>]*\/?>\s*$/.test(lines[0].trim())) {
+    lines.shift();
+    while (lines.length && lines[0].trim() === '') lines.shift();
+  }
+
+  let emoji = null;
+  if (lines.length) {
+    const match = lines[0].match(EMOJI_REGEX);
+    if (match) {
+      emoji = match[1];
+      lines[0] = lines[0].slice(match[0].length);
+    }
+  }
+
+  // "⚠" and "⚠️" are both common, so match with and without the variation selector
+  const type = (emoji && (EMOJI_TYPES[emoji] || EMOJI_TYPES[`${emoji.replace(/\uFE0F/g, '')}\uFE0F`])) || 'default';
+  const emojiProp = emoji ? ` emoji="${emoji}"` : '';
+  return [`<Callout type="${type}"${emojiProp}>`, ...lines, '</Callout>'];
+}
+
+// Notion toggles export as <details>; MDX needs blank lines around the body to parse it as markdown
+function detailsFor(body) {
+  const lines = [...body];
+  let summary = 'Details';
+
+  const summaryIndex = lines.findIndex(line => line.trim() !== '');
+  if (summaryIndex !== -1) {
+    const match = lines[summaryIndex].trim().match(/^<summary>(.*)<\/summary>$/);
+    if (match) {
+      summary = match[1].trim();
+      lines.splice(0, summaryIndex + 1);
+    }
+  }
+
+  while (lines.length && lines[0].trim() === '') lines.shift();
+  while (lines.length && lines[lines.length - 1].trim() === '') lines.pop();
+
+  return ['<details>', `<summary>${summary}</summary>`, '', ...lines, '', '</details>'];
+}
+
+// Convert emoji blockquotes (> 💡 **Tip:** ...) and Notion <aside> blocks into Nextra <Callout>
+// components, and tidy Notion <details> toggles into collapsible sections. Adds the Callout
+// import when the page needs it.
+function convertCallouts(content) {
+  const lines = scanLines(content);
+  const output = [];
+  let usesCallout = false;
+  let i = 0;
+
+  while (i < lines.length) {
+    const { text, inCode } = lines[i];
+
+    if (inCode) {
+      output.push(text);
+      i++;
+      continue;
+    }
+
+    // > 💡 **Tip:** ... (continuation lines keep their ">" prefix)
+    const quote = text.match(/^>\s?(.*)$/);
+    if (quote && EMOJI_REGEX.test(quote[1])) {
+      const body = [];
+      while (i < lines.length && !lines[i].inCode && /^>/.test(lines[i].text)) {
+        body.push(lines[i].text.replace(/^>\s?/, ''));
+        i++;
+      }
+      output.push(...calloutFor(body));
+      usesCallout = true;
+      continue;
+    }
+
+    const block = text.trim().match(/^<(aside|details)>$/);
+    if (block) {
+      const closing = `</${block[1]}>`;
+      const end = lines.findIndex((line, index) => index > i && !line.inCode && line.text.trim() === closing);
+      if (end !== -1) {
+        const body = lines.slice(i + 1, end).map(line => line.text);
+        if (block[1] === 'aside') {
+          output.push(...calloutFor(body));
+          usesCallout = true;
+        } else {
+          output.push(...detailsFor(body));
+        }
+        i = end + 1;
+        continue;
+      }
+    }
+
+    output.push(text);
+    i++;
+  }
+
+  const converted = output.join('\n');
+  return usesCallout ? `${CALLOUT_IMPORT}\n\n${converted}` : converted;
+}
+
+module.exports = {
+  convertCallouts
+};
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { convertCallouts } = require('./callouts');
+
+const IMPORT = "import { Callout } from 'nextra-theme-docs'";
+
+test('convertCallouts turns emoji blockquotes into typed callouts', () => {
+  const content = '> ⚠ **Warning:** Claims are final.\n> Check them first.\n\nText';
+
+  assert.strictEqual(convertCallouts(content), `${IMPORT}
+
+<Callout type="warning" emoji="⚠">
+**Warning:** Claims are final.
+Check them first.
+</Callout>
+
+Text`);
+});
+
+test('convertCallouts drops the icon image of a Notion aside', () => {
+  const content = '<aside>\n<img src="/icons/bulb.svg" alt="/icons/bulb.svg" width="40px" />\n\n💡 Use the builder.\n\n</aside>';
+
+  assert.strictEqual(convertCallouts(content), `${IMPORT}
+
+<Callout type="info" emoji="💡">
+Use the builder.
+</Callout>`);
+});
+
+test('convertCallouts leaves plain blockquotes and code blocks alone', () => {
+  const content = [
+    '> A plain quote',
+    '',
+    '````markdown',
+    '```',
+    '> 💡 **Tip:** inside a fence',
+    '```',
+    '<aside>',
+    '````'
+  ].join('\n');
+
+  assert.strictEqual(convertCallouts(content), content);
+});
+
+test('convertCallouts keeps a toggle body apart from its summary', () => {
+  const content = '<details>\n<summary>Sample output</summary>\n**Result**: ok\n</details>';
+
+  assert.strictEqual(convertCallouts(content), '<details>\n<summary>Sample output</summary>\n\n**Result**: ok\n\n</details>');
+});
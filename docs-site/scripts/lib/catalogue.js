@@ -0,0 +1,186 @@
+const { scanLines, slugify } = require('./slugger');
+const { extractProperties } = require('./frontmatter');
+const { listPageImages } = require('./links');
+const { sanitizeMdx } = require('./mdx-safety');
+const { smallestVariantUrl } = require('./variants');
+
+const SUMMARY_LENGTH = 200;
+
+// First prose paragraph after the title, as plain text
+function firstParagraph(content) {
+  const paragraph = [];
+
+  for (const { text, inCode } of scanLines(content)) {
+    const line = text.trim();
+    const isProse = !inCode && line !== '' && !/^(?:#|[-*+]\s|\d+\.\s|>|\||!\[|<|---|\*\*[^*]+\*\*:?$)/.test(line);
+
+    if (isProse) {
+      paragraph.push(line);
+    } else if (paragraph.length > 0) {
+      break;
+    }
+  }
+
+  const plain = paragraph.join(' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|\*|_|`)/g, '');
+  if (plain.length <= SUMMARY_LENGTH) return plain || null;
+  return `${plain.slice(0, plain.lastIndexOf(' ', SUMMARY_LENGTH))}…`;
+}
+
+// What the home page and the pattern catalogue need to know about one page
+function pageMetadata(doc, content, images) {
+  const { properties, content: body } = extractProperties(content);
+  const [thumbnail] = listPageImages(content, doc, images);
+
+  return {
+    slug: doc.slug,
+    title: doc.title,
+    icon: doc.icon,
+    patterns: properties.patterns || [],
+    module: properties.module || null,
+    // The property header is not prose, so the summary comes from the body without it
+    summary: doc.summary || firstParagraph(body),
+    // Cards are a few hundred pixels wide, so the smallest resized copy is plenty
+    thumbnail: thumbnail ? smallestVariantUrl(thumbnail) : null
+  };
+}
+
+// Patterns in the order the pages introduce them
+function listPatterns(pages) {
+  return [...new Set(pages.flatMap(page => page.patterns))];
+}
+
+// Plain text dropped into generated markdown
+function inline(text) {
+  return sanitizeMdx(text).replace(/\|/g, '\\|');
+}
+
+function renderModuleCard(page) {
+  const props = {
+    href: `/${page.slug}`,
+    title: page.title,
+    icon: page.icon,
+    module: page.module,
+    patterns: page.patterns,
+    summary: page.summary,
+    image: page.thumbnail
+  };
+
+  // JSON values are valid JS expressions, so titles and summaries need no MDX escaping
+  const attributes = Object.entries(props)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}={${JSON.stringify(value)}}`)
+    .join(' ');
+  return `  <ModuleCard ${attributes} />`;
+}
+
+function renderHomePage(pages) {
+  const modules = pages.filter(page => page.patterns.length > 0);
+  const guides = pages.filter(page => page.patterns.length === 0);
+  const patternCount = listPatterns(modules).length;
+
+  const quickLinks = [
+    ...guides.map(page => `- **[${inline(page.title)}](/${page.slug})**${page.summary ? ` - ${inline(page.summary)}` : ''}`),
+    '- **[Pattern Catalogue](/patterns)** - Which design pattern is used in which module',
+    '- **[Print Book](/print)** - Every page in one document, to print, save as PDF or download as EPUB',
+    '- **[GitHub Repository](https://github.com/isharax9/healthcare-system)** - Source code',
+    '- **[Live Demo](https://macna.gitbook.io/macna.lk/globemed-hms-docs)** - GitBook publication'
+  ];
+
+  return `---
+title: "GlobeMed Healthcare Management System"
+description: "Comprehensive documentation for GlobeMed Healthcare Management System demonstrating advanced design patterns in Java"
+---
+
+import { ModuleCards, ModuleCard } from '../components/module-cards'
+
+# GlobeMed Healthcare Management System
+
+Welcome to the comprehensive documentation for the **GlobeMed Healthcare Management System** - a sophisticated Java-based desktop application that demonstrates advanced software engineering principles through practical implementation of design patterns.
+
+## 🎯 Purpose
+
+This system serves as both a **functional healthcare management solution** and an **educational resource** for understanding enterprise-level software architecture with targeted pattern implementations.
+
+## 🏗️ Architecture Overview
+
+The GlobeMed system is built around **${patternCount} core design patterns**, each addressing specific healthcare domain challenges. The [pattern catalogue](/patterns) shows which pattern is used in which module.
+
+<ModuleCards>
+${modules.map(renderModuleCard).join('\n')}
+</ModuleCards>
+
+## 🚀 Technology Stack
+
+| Component | Technology |
+|-----------|------------|
+| **Language** | Java |
+| **JDK Version** | JDK 21 |
+| **Database** | MySQL 9.3.0 |
+| **UI Framework** | Java SE Swing |
+| **PDF Generation** | iTextPDF, pdfBox |
+| **Build Tool** | Apache Maven |
+
+## 📖 Documentation Structure
+
+This documentation is organized into focused sections, each covering a specific design pattern implementation with:
+
+- **Problem Statement**: Real healthcare domain challenges
+- **Pattern Implementation**: Detailed code analysis and UML diagrams
+- **Usage Scenarios**: Practical application examples
+- **Testing & Validation**: Comprehensive test coverage
+- **Benefits & Trade-offs**: Pattern-specific advantages and considerations
+
+## 🔗 Quick Links
+
+${quickLinks.join('\n')}
+
+---
+
+*Built with ❤️ by Ishara Lakshitha for academic and educational purposes.*
+`;
+}
+
+// Pattern -> module matrix, plus a section per pattern listing where it is used
+function renderPatternCatalogue(pages) {
+  const modules = pages.filter(page => page.patterns.length > 0);
+  const patterns = listPatterns(modules);
+
+  const header = `| Pattern | ${modules.map(page => `[${inline(page.title)}](/${page.slug})`).join(' | ')} |`;
+  const divider = `|---------|${modules.map(() => ':---:').join('|')}|`;
+  const rows = patterns.map(pattern => {
+    const cells = modules.map(page => (page.patterns.includes(pattern) ? '✅' : ''));
+    return `| [**${inline(pattern)}**](#${slugify(pattern)}) | ${cells.join(' | ')} |`;
+  });
+
+  const sections = patterns.map(pattern => {
+    const usedIn = modules
+      .filter(page => page.patterns.includes(pattern))
+      .map(page => `- [${inline(page.title)}](/${page.slug})${page.module && page.module !== page.title ? ` - ${inline(page.module)}` : ''}`);
+    return `### ${inline(pattern)}\n\n${usedIn.join('\n')}`;
+  });
+
+  return `---
+title: "Pattern Catalogue"
+description: "Which design pattern is used in which module of the GlobeMed Healthcare Management System"
+---
+
+# Pattern Catalogue
+
+The ${patterns.length} design patterns used across the ${modules.length} GlobeMed modules. This page is generated from the **Patterns** property of each module document.
+
+${[header, divider, ...rows].join('\n')}
+
+## Modules by Pattern
+
+${sections.join('\n\n')}
+`;
+}
+
+module.exports = {
+  inline,
+  pageMetadata,
+  renderHomePage,
+  renderPatternCatalogue
+};
@@ -0,0 +1,58 @@
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { inline, pageMetadata, renderPatternCatalogue } = require('./catalogue');
+
+const doc = { slug: 'billing-insurance', title: 'Billing & Insurance', icon: null, summary: null, sourcePath: path.resolve('/docs/Billing.md') };
+
+test('pageMetadata summarises the first paragraph after the property header', () => {
+  const content = `# Billing
+
+**Patterns**: Chain of Responsibility Pattern
+**Module**: Billing
+
+\`\`\`java
+// Not the summary
+\`\`\`
+
+Claims pass through a **chain** of [handlers](#handlers),
+each one deciding whether to settle.
+
+Second paragraph.
+`;
+
+  assert.deepStrictEqual(pageMetadata(doc, content, new Map()), {
+    slug: 'billing-insurance',
+    title: 'Billing & Insurance',
+    icon: null,
+    patterns: ['Chain of Responsibility'],
+    module: 'Billing',
+    summary: 'Claims pass through a chain of handlers, each one deciding whether to settle.',
+    thumbnail: null
+  });
+});
+
+test('pageMetadata cuts a long summary at a word', () => {
+  const { summary } = pageMetadata(doc, `# Billing\n\n${'word '.repeat(60)}\n`, new Map());
+
+  assert.ok(summary.length <= 201);
+  assert.match(summary, /word…$/);
+});
+
+test('inline escapes table pipes and MDX in generated cells', () => {
+  assert.strictEqual(inline('Map<K, V> | {id}'), 'Map&lt;K, V> \\| \\{id\\}');
+});
+
+test('renderPatternCatalogue marks each pattern in the modules that use it', () => {
+  const pages = [
+    { slug: 'patient-records', title: 'Patient Records', patterns: ['Memento', 'Prototype'], module: 'Records' },
+    { slug: 'billing-insurance', title: 'Billing', patterns: ['Chain of Responsibility', 'Memento'], module: 'Billing' },
+    { slug: 'overview', title: 'Overview', patterns: [], module: null }
+  ];
+  const catalogue = renderPatternCatalogue(pages);
+
+  assert.match(catalogue, /\| \[\*\*Memento\*\*\]\(#memento\) \| ✅ \| ✅ \|/);
+  assert.match(catalogue, /\| \[\*\*Prototype\*\*\]\(#prototype\) \| ✅ \|  \|/);
+  assert.match(catalogue, /### Memento\n\n- \[Patient Records\]\(\/patient-records\) - Records\n- \[Billing\]\(\/billing-insurance\)\n/);
+  assert.doesNotMatch(catalogue, /Overview/);
+});
@@ -0,0 +1,168 @@
+const { execFileSync } = require('child_process');
+const { scanLines } = require('./slugger');
+const { hashContent } = require('./cache');
+
+const DIAGRAM_IMPORT = "import { Diagram } from '../components/diagram'";
+const LANGUAGES = new Set(['mermaid', 'plantuml']);
+
+// Bump when rendering options change, so cached SVGs are re-rendered
+const RENDER_VERSION = 1;
+
+// ```mermaid and ```plantuml fences, with the lines they span (1-based, fences included)
+function findDiagrams(content) {
+  const diagrams = [];
+  let current = null;
+
+  scanLines(content).forEach(({ text, line, inCode }) => {
+    if (!inCode) return;
+    const fence = text.match(/^\s*(`{3,}|~{3,})\s*(\S*)/);
+
+    if (current === null) {
+      current = { fence: fence[1], language: fence[2].toLowerCase(), start: line, lines: [] };
+    } else if (fence && !fence[2] && fence[1][0] === current.fence[0] && fence[1].length >= current.fence.length) {
+      if (LANGUAGES.has(current.language)) {
+        diagrams.push({ language: current.language, source: current.lines.join('\n'), start: current.start, end: line });
+      }
+      current = null;
+    } else {
+      current.lines.push(text);
+    }
+  });
+
+  return diagrams;
+}
+
+// A renderer that is not installed: its diagrams stay code blocks with a warning, not an error
+function unavailable(message) {
+  const error = new Error(message);
+  error.unavailable = true;
+  return error;
+}
+
+// Renders diagram source to SVG without any network access. Mermaid runs in the headless
+// Chrome of the optional puppeteer package, launched once on first use; PlantUML uses a local
+// `plantuml` command (which needs Java) when one is on the PATH.
+class DiagramRenderer {
+  constructor() {
+    this.browser = null;
+    this.renderMermaid = null;
+    this.launchError = null;
+  }
+
+  async render(language, source, id) {
+    if (language === 'plantuml') {
+      return renderPlantUml(source);
+    }
+
+    if (this.launchError) throw this.launchError;
+    if (!this.browser) {
+      try {
+        // Both packages are ESM-only, and optional dependencies
+        const [{ renderMermaid }, { default: puppeteer }] = await Promise.all([
+          import('@mermaid-js/mermaid-cli'),
+          import('puppeteer')
+        ]);
+        this.renderMermaid = renderMermaid;
+        this.browser = await puppeteer.launch({ headless: 'shell', args: ['--no-sandbox'] });
+      } catch (error) {
+        // Report once per run rather than retrying for every diagram
+        this.launchError = unavailable(`Mermaid needs puppeteer's headless Chrome, which is not available: ${error.message.split('\n')[0]}`);
+        throw this.launchError;
+      }
+    }
+
+    const { title, data } = await this.renderMermaid(this.browser, source, 'svg', {
+      svgId: id,
+      mermaidConfig: { theme: 'neutral' }
+    });
+    return { svg: Buffer.from(data).toString('utf8'), title: title || null };
+  }
+
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+    }
+    this.launchError = null;
+  }
+}
+
+function renderPlantUml(source) {
+  const input = /@startuml/.test(source) ? source : `@startuml\n${source}\n@enduml`;
+  try {
+    const svg = execFileSync('plantuml', ['-tsvg', '-pipe'], { input, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+    return { svg: svg.replace(/^<\?xml[^>]*\?>\s*/, ''), title: null };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw unavailable('PlantUML needs the plantuml command (and Java) on the PATH');
+    }
+    throw new Error((error.stderr || error.message).toString().trim().split('\n')[0]);
+  }
+}
+
+// Replace diagram fences with <Diagram> components holding the rendered SVG. Rendered SVGs are
+// kept in the build cache by source hash, so an unchanged diagram is never rendered twice.
+// Diagrams that fail to render stay as code blocks and are returned as errors, with their
+// position among the page's diagrams and the line of the fence in `content`; `warning` marks
+// the ones whose renderer is not installed.
+async function renderDiagrams(content, { renderer, cache }) {
+  const diagrams = findDiagrams(content);
+  if (diagrams.length === 0) return { content, errors: [] };
+
+  const lines = content.split('\n');
+  const errors = [];
+  let rendered = 0;
+
+  // From the bottom up, so earlier line numbers stay valid
+  for (let index = diagrams.length - 1; index >= 0; index--) {
+    const diagram = diagrams[index];
+    const key = hashContent(`${RENDER_VERSION}:${diagram.language}:${diagram.source}`);
+    let result = cache.diagram(key);
+
+    if (!result) {
+      try {
+        result = await renderer.render(diagram.language, diagram.source, `diagram-${key.slice(0, 8)}`);
+        cache.setDiagram(key, result);
+      } catch (error) {
+        errors.unshift({ index, line: diagram.start, message: error.message, warning: Boolean(error.unavailable) });
+        continue;
+      }
+    }
+
+    // JSON strings are valid JS expressions, so the SVG needs no JSX escaping
+    const title = result.title ? ` title={${JSON.stringify(result.title)}}` : '';
+    const component = `<Diagram language="${diagram.language}"${title} svg={${JSON.stringify(result.svg)}} />`;
+    lines.splice(diagram.start - 1, diagram.end - diagram.start + 1, component);
+    rendered++;
+  }
+
+  const converted = lines.join('\n');
+  return {
+    content: rendered > 0 ? `${DIAGRAM_IMPORT}\n\n${converted}` : converted,
+    errors
+  };
+}
+
+function printDiagramReport(errors) {
+  const print = (log, list) => list.forEach(({ file, line, message }) => {
+    log(`   ${line ? `${file}:${line}` : file}  ${message}`);
+  });
+  const missing = errors.filter(error => error.warning);
+  const failed = errors.filter(error => !error.warning);
+
+  if (missing.length > 0) {
+    console.log(`\n⚠️  ${missing.length} diagram(s) left as code blocks, their renderer is not installed:`);
+    print(console.log, missing);
+  }
+  if (failed.length > 0) {
+    console.error(`\n❌ ${failed.length} diagram(s) could not be rendered:`);
+    print(console.error, failed);
+  }
+}
+
+module.exports = {
+  findDiagrams,
+  DiagramRenderer,
+  renderDiagrams,
+  printDiagramReport
+};
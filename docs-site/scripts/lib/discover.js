@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { LOCALES } = require('./locales');
+
+// Notion appends a 32-character hex block id to every exported file and folder
+const NOTION_HASH_REGEX = /\s+[0-9a-f]{32}$/i;
+
+// Root-level markdown that is repository housekeeping, not documentation
+const IGNORED_FILES = new Set(['README.md', 'CHANGELOG.md', 'CONTRIBUTING.md', 'LICENSE.md']);
+
+// Translations: "<English file name>.si.md"
+const TRANSLATION_REGEX = new RegExp(`^(.+)\\.(${Object.keys(LOCALES).join('|')})\\.md$`);
+
+// Slugs already used by generated or hand-written pages, and the locale route prefixes
+const RESERVED_SLUGS = new Set([
+  'index', 'patterns', 'reference', 'search', 'print', 'translations', 'whats-new', '_app', '_meta', '_document',
+  ...Object.keys(LOCALES)
+]);
+
+function stripNotionHash(name) {
+  return name.replace(NOTION_HASH_REGEX, '');
+}
+
+function toKebabCase(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function extractTitle(content) {
+  const match = content.match(/^#\s+(.+?)\s*#*\s*$/m);
+  if (!match) {
+    return null;
+  }
+  // Headings are plain text in the sidebar, so drop inline markdown
+  return match[1].replace(/[*_`]/g, '').trim();
+}
+
+function loadOverrides(overridesPath) {
+  if (!fs.existsSync(overridesPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(overridesPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid overrides file ${overridesPath}: ${error.message}`);
+  }
+}
+
+// Find every exported markdown file in sourceDir and derive its page slug and title.
+// Docs listed in the overrides file come first, in the order they are listed there.
+function discoverDocs(sourceDir, overridesPath) {
+  const overrides = loadOverrides(overridesPath);
+  const overrideKeys = Object.keys(overrides);
+
+  const docs = fs.readdirSync(sourceDir, { withFileTypes: true })
+    .filter(dirent => dirent.isFile() && dirent.name.endsWith('.md') && !IGNORED_FILES.has(dirent.name) && !TRANSLATION_REGEX.test(dirent.name))
+    .map(dirent => {
+      const fileName = dirent.name;
+      const baseName = fileName.slice(0, -'.md'.length);
+      const name = stripNotionHash(baseName);
+      const sourcePath = path.join(sourceDir, fileName);
+      const assetDir = path.join(sourceDir, baseName);
+      const override = overrides[name] || {};
+      const heading = extractTitle(fs.readFileSync(sourcePath, 'utf8'));
+
+      return {
+        name,
+        fileName,
+        sourcePath,
+        assetDir: fs.existsSync(assetDir) ? assetDir : null,
+        slug: override.slug || toKebabCase(heading || name),
+        title: override.title || heading || name,
+        // Home page card text and icon
+        summary: override.summary || null,
+        icon: override.icon || null,
+        // Titles of the translations, by locale
+        titles: override.titles || {},
+        isPart: /^Part\s/i.test(name)
+      };
+    });
+
+  docs.sort((a, b) => {
+    const aIndex = overrideKeys.indexOf(a.name);
+    const bIndex = overrideKeys.indexOf(b.name);
+    if (aIndex !== -1 || bIndex !== -1) {
+      if (aIndex === -1) return 1;
+      if (bIndex === -1) return -1;
+      return aIndex - bIndex;
+    }
+    return a.name.localeCompare(b.name);
+  });
+
+  const seen = new Map();
+  docs.forEach(doc => {
+    if (RESERVED_SLUGS.has(doc.slug)) {
+      throw new Error(`"${doc.fileName}" resolves to reserved slug "${doc.slug}", pin another one in the overrides file`);
+    }
+    if (seen.has(doc.slug)) {
+      throw new Error(`"${doc.fileName}" and "${seen.get(doc.slug)}" both resolve to slug "${doc.slug}"`);
+    }
+    seen.set(doc.slug, doc.fileName);
+  });
+
+  return docs;
+}
+
+// Translations of the discovered docs in sourceDir. Returns { translations, orphaned }: a Map
+// from locale to a Map from slug to the translated doc, which shares the English doc's slug and
+// export folder, and the translation files whose English source is missing. Only locales with
+// at least one translation are listed.
+function discoverTranslations(sourceDir, docs) {
+  const docsByFile = new Map(docs.map(doc => [doc.fileName, doc]));
+  const translations = new Map(Object.keys(LOCALES).map(locale => [locale, new Map()]));
+  const orphaned = [];
+
+  fs.readdirSync(sourceDir, { withFileTypes: true })
+    .filter(dirent => dirent.isFile() && TRANSLATION_REGEX.test(dirent.name))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(dirent => {
+      const [, baseName, locale] = dirent.name.match(TRANSLATION_REGEX);
+      const doc = docsByFile.get(`${baseName}.md`);
+      if (!doc) {
+        orphaned.push(dirent.name);
+        return;
+      }
+
+      const sourcePath = path.join(sourceDir, dirent.name);
+      const heading = extractTitle(fs.readFileSync(sourcePath, 'utf8'));
+      translations.get(locale).set(doc.slug, {
+        ...doc,
+        locale,
+        fileName: dirent.name,
+        sourcePath,
+        englishPath: doc.sourcePath,
+        title: doc.titles[locale] || heading || doc.title
+      });
+    });
+
+  return {
+    translations: new Map([...translations].filter(([, translated]) => translated.size > 0)),
+    orphaned
+  };
+}
+
+module.exports = {
+  discoverDocs,
+  discoverTranslations,
+  stripNotionHash,
+  toKebabCase,
+  extractTitle
+};
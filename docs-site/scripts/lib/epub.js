@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { createElement: h } = require('react');
+const { renderToStaticMarkup } = require('react-dom/server');
+const runtime = require('react/jsx-runtime');
+const { Slugger } = require('./slugger');
+const { hashContent } = require('./cache');
+const { chapterId, contentsEntries } = require('./book');
+
+const MEDIA_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
+const BOOK_CSS = `body { font-family: serif; line-height: 1.5; }
+h1, h2, h3, h4 { font-family: sans-serif; line-height: 1.25; }
+pre { white-space: pre-wrap; font-size: 0.8em; padding: 0.5em; background: #f5f5f5; }
+code { font-family: monospace; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 0.25em 0.5em; }
+img, svg { max-width: 100%; height: auto; }
+figure { margin: 1em 0; text-align: center; }
+figcaption { font-size: 0.85em; font-style: italic; }
+.page-header { font-family: sans-serif; font-size: 0.9em; }
+.callout { display: flex; gap: 0.5em; margin: 1em 0; padding: 0 0.75em; border: 1px solid #ccc; border-radius: 0.25em; }
+.callout-info { border-color: #93c5fd; background: #eff6ff; }
+.callout-warning { border-color: #fcd34d; background: #fefce8; }
+.callout-error { border-color: #fca5a5; background: #fef2f2; }
+.callout-emoji { padding-top: 1em; }
+`;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Heading text as generated: drop the backslashes MDX escaping added
+function plainHeading(value) {
+  return value.replace(/\\(.)/g, '$1');
+}
+
+function xhtmlDocument(title, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="book.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// Heading ids as Nextra gives them, continued across chapters like on the print page
+function remarkHeadingIds(slugger) {
+  const flatten = node => (node.children || [])
+    .map(child => (child.children ? flatten(child) : child.value || ''))
+    .join('');
+
+  return () => (tree) => {
+    const visit = (node) => {
+      if (node.type === 'heading' && node.depth > 1) {
+        node.data = node.data || {};
+        node.data.hProperties = { ...node.data.hProperties, id: slugger.slug(flatten(node)) };
+      }
+      (node.children || []).forEach(visit);
+    };
+    visit(tree);
+  };
+}
+
+// Static stand-ins for every component the generated pages use, and links and images pointed
+// into the EPUB. The book is the current English documentation, so the version banner and the
+// translation notice render nothing.
+function epubComponents({ imageHref, linkHref }) {
+  return {
+    Callout: ({ type = 'default', emoji, children }) => h('aside', { className: `callout callout-${type}` },
+      emoji && h('span', { className: 'callout-emoji' }, emoji),
+      h('div', null, children)
+    ),
+    VersionBanner: () => null,
+    TranslationNotice: () => null,
+    PageHistory: () => null,
+    PageHeader: ({ patterns = [], module, author }) => h('div', { className: 'page-header' },
+      patterns.length > 0 && h('p', null, h('strong', null, 'Patterns: '), patterns.join(', ')),
+      module && h('p', null, h('strong', null, 'Module: '), module),
+      author && h('p', null, h('strong', null, 'Author: '), author)
+    ),
+    Diagram: ({ svg, title }) => h('div', {
+      className: 'diagram',
+      role: 'img',
+      'aria-label': title || 'Diagram',
+      dangerouslySetInnerHTML: { __html: svg }
+    }),
+    img: ({ src, alt }) => h('img', { src: imageHref(src), alt: alt || '' }),
+    a: ({ href, children }) => {
+      const target = linkHref(href);
+      return target ? h('a', { href: target }, children) : h('span', null, children);
+    }
+  };
+}
+
+// The book from lib/book.js as an EPUB 3 file with its images embedded. Links between chapters
+// stay inside the book; links to other site routes point at siteUrl, or become plain text
+// without one. Files are dated `modified`, so an unchanged book gives an identical file.
+async function buildEpub(book, { images, basePath, siteUrl, modified, authors }) {
+  // Both packages are ESM-only
+  const [{ evaluate }, { default: remarkGfm }] = await Promise.all([
+    import('@mdx-js/mdx'),
+    import('remark-gfm')
+  ]);
+
+  // Element id -> the chapter file it is in; chapter ids link to the file itself
+  const chapterFiles = new Map();
+  const chapterIds = new Set();
+  book.chapters.forEach((chapter, index) => {
+    const file = `chapter-${index + 1}.xhtml`;
+    chapterIds.add(chapterId(chapter.slug));
+    chapterFiles.set(chapterId(chapter.slug), file);
+    chapter.headings.forEach(heading => chapterFiles.set(heading.id, file));
+  });
+
+  const imagesByUrl = new Map([...images].map(([sourcePath, image]) => [image.url, { ...image, sourcePath }]));
+  const embedded = new Map();
+  const imageHref = (src) => {
+    const image = imagesByUrl.get(src);
+    if (!image) return src;
+    embedded.set(image.file, image);
+    return `images/${encodeURI(image.file)}`;
+  };
+  const linkHref = (href) => {
+    if (!href) return null;
+    if (href.startsWith('#')) {
+      const id = href.slice(1);
+      const file = chapterFiles.get(id);
+      if (!file) return null;
+      return chapterIds.has(id) ? file : `${file}#${id}`;
+    }
+    if (href.startsWith('/')) return siteUrl ? `${siteUrl.replace(/\/$/, '')}${basePath}${href}` : null;
+    return href;
+  };
+  const components = epubComponents({ imageHref, linkHref });
+
+  const slugger = new Slugger();
+  const chapters = [];
+  for (const [index, chapter] of book.chapters.entries()) {
+    const { default: Content } = await evaluate(chapter.content, {
+      ...runtime,
+      remarkPlugins: [remarkGfm, remarkHeadingIds(slugger)]
+    });
+    const html = renderToStaticMarkup(h(Content, { components }));
+    chapters.push({
+      id: `chapter-${index + 1}`,
+      file: `chapter-${index + 1}.xhtml`,
+      title: chapter.title,
+      headings: contentsEntries(chapter),
+      svg: html.includes('<svg'),
+      content: xhtmlDocument(chapter.title, `<section id="${chapterId(chapter.slug)}" epub:type="chapter">\n${html}\n</section>`)
+    });
+  }
+
+  const nav = xhtmlDocument('Contents', `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${chapters.map(chapter => {
+  const entries = contentsEntries(chapter).map(heading =>
+    `<li><a href="${chapter.file}#${heading.id}">${escapeXml(plainHeading(heading.value))}</a></li>`);
+  const sections = entries.length > 0 ? `\n<ol>\n${entries.join('\n')}\n</ol>` : '';
+  return `<li><a href="${chapter.file}">${escapeXml(chapter.title)}</a>${sections}</li>`;
+}).join('\n')}
+</ol>
+</nav>`);
+  const titlePage = xhtmlDocument(book.title, `<section epub:type="titlepage">
+<h1>${escapeXml(book.title)}</h1>
+<p>Design pattern implementations in Java</p>
+${authors.length > 0 ? `<p>${escapeXml(authors.join(', '))}</p>` : ''}
+<p>${book.figures.length} figure(s), ${chapters.length} chapter(s)</p>
+</section>`);
+
+  const imageItems = [...embedded.values()].map((image, index) => ({
+    id: `image-${index + 1}`,
+    file: `images/${image.file}`,
+    sourcePath: image.sourcePath,
+    mediaType: MEDIA_TYPES[path.extname(image.file).toLowerCase()] || 'application/octet-stream'
+  }));
+  // A stable identifier, so readers recognise a newer copy as the same book
+  const uuid = hashContent(book.title).slice(0, 32).replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:uuid:${uuid}</dc:identifier>
+<dc:title>${escapeXml(book.title)}</dc:title>
+<dc:language>en</dc:language>
+${authors.map(author => `<dc:creator>${escapeXml(author)}</dc:creator>`).join('\n')}
+<meta property="dcterms:modified">${modified}T00:00:00Z</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>
+<item id="css" href="book.css" media-type="text/css"/>
+${chapters.map(chapter => `<item id="${chapter.id}" href="${chapter.file}" media-type="application/xhtml+xml"${chapter.svg ? ' properties="svg"' : ''}/>`).join('\n')}
+${imageItems.map(item => `<item id="${item.id}" href="${escapeXml(encodeURI(item.file))}" media-type="${item.mediaType}"/>`).join('\n')}
+</manifest>
+<spine>
+<itemref idref="title"/>
+<itemref idref="nav"/>
+${chapters.map(chapter => `<itemref idref="${chapter.id}"/>`).join('\n')}
+</spine>
+</package>
+`;
+
+  const zip = new JSZip();
+  // Implicit folder entries would be dated now
+  const options = { date: new Date(`${modified}T00:00:00Z`), createFolders: false };
+  // The mimetype must come first and uncompressed, so readers can sniff the format
+  zip.file('mimetype', 'application/epub+zip', { ...options, compression: 'STORE' });
+  zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`, options);
+  zip.file('OEBPS/content.opf', opf, options);
+  zip.file('OEBPS/nav.xhtml', nav, options);
+  zip.file('OEBPS/title.xhtml', titlePage, options);
+  zip.file('OEBPS/book.css', BOOK_CSS, options);
+  chapters.forEach(chapter => zip.file(`OEBPS/${chapter.file}`, chapter.content, options));
+  imageItems.forEach(item => zip.file(`OEBPS/${item.file}`, fs.readFileSync(item.sourcePath), options));
+
+  return zip.generateAsync({
+    type: 'nodebuffer',
+    compression: 'DEFLATE',
+    mimeType: 'application/epub+zip'
+  });
+}
+
+module.exports = {
+  escapeXml,
+  buildEpub
+};
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { convertCallouts } = require('./callouts');
+const { buildBook } = require('./book');
+const { buildEpub } = require('./epub');
+
+const PAGE = `---
+title: "Billing & Insurance Claims"
+---
+
+${convertCallouts(`# Billing & Insurance Claims
+
+## Handlers
+
+> 💡 **Tip:** Every handler passes the claim on when it cannot settle it.
+
+Claims go through the chain in order.
+`)}`;
+
+test('buildEpub renders pages with callouts', async () => {
+  const book = buildBook([{ slug: 'billing-insurance', title: 'Billing & Insurance Claims', properties: {}, mdx: PAGE }]);
+  const epub = await buildEpub(book, { images: new Map(), basePath: '', modified: '2025-01-01', authors: [] });
+  const chapter = await (await JSZip.loadAsync(epub)).file('OEBPS/chapter-1.xhtml').async('string');
+
+  assert.match(chapter, /<aside class="callout callout-info"><span class="callout-emoji">💡<\/span>/);
+  assert.match(chapter, /<strong>Tip:<\/strong> Every handler passes the claim on/);
+});
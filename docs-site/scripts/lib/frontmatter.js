@@ -0,0 +1,102 @@
+const path = require('path');
+const { git } = require('./git');
+const { scanLines } = require('./slugger');
+
+const PAGE_HEADER_IMPORT = "import { PageHeader } from '../components/page-header'";
+
+// Notion page properties exported as "**Key**: value" lines under the title, and the
+// frontmatter field each one becomes
+const PROPERTY_FIELDS = {
+  document: 'document',
+  pattern: 'patterns',
+  patterns: 'patterns',
+  module: 'module',
+  author: 'author'
+};
+
+// "Memento Pattern & Prototype Pattern" -> ["Memento", "Prototype"]
+// "Decorator Pattern (Authentication), DAO Pattern (Data Access Security)" -> ["Decorator", "DAO"]
+function parsePatterns(value) {
+  return value
+    .split(/\s*(?:,|&|\band\b)\s*/)
+    .map(pattern => pattern.replace(/\s*\([^)]*\)/g, '').replace(/\s+patterns?$/i, '').trim())
+    .filter(Boolean);
+}
+
+// Lift the property header that follows the H1 into frontmatter fields and remove those lines
+// from the body. Properties without a frontmatter field (e.g. "Repository") stay in the body.
+function extractProperties(content) {
+  const lines = scanLines(content);
+  const titleIndex = lines.findIndex(({ text, inCode }) => !inCode && /^#\s/.test(text));
+  const properties = {};
+  const removed = new Set();
+
+  for (let i = titleIndex + 1; i < lines.length; i++) {
+    const { text } = lines[i];
+    if (text.trim() === '') continue;
+
+    const match = text.match(/^\*\*([^*]+)\*\*\s*:\s*(.+?)\s*$/);
+    if (!match) break;
+
+    const field = PROPERTY_FIELDS[match[1].trim().toLowerCase()];
+    if (!field) continue;
+
+    properties[field] = field === 'patterns' ? parsePatterns(match[2]) : match[2].replace(/[*_`]/g, '');
+    removed.add(i);
+  }
+
+  // Collapse the blank lines the removed properties leave behind
+  const body = lines
+    .filter((line, index) => !removed.has(index))
+    .map(({ text }) => text)
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n');
+
+  return { properties, content: body };
+}
+
+// Render the lifted properties with <PageHeader /> directly under the page title
+function insertPageHeader(content) {
+  const lines = scanLines(content);
+  const titleIndex = lines.findIndex(({ text, inCode }) => !inCode && /^#\s/.test(text));
+  const texts = lines.map(({ text }) => text);
+
+  if (titleIndex === -1) {
+    texts.unshift('<PageHeader />', '');
+  } else {
+    texts.splice(titleIndex + 1, 0, '', '<PageHeader />');
+  }
+  return `${PAGE_HEADER_IMPORT}\n\n${texts.join('\n')}`;
+}
+
+// Date of the last commit that touched a file, or null when it is not committed (or git is missing)
+function gitLastUpdated(filePath) {
+  try {
+    const date = git(path.dirname(filePath), ['log', '-1', '--format=%cs', '--', path.basename(filePath)]).trim();
+    return date || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Serialise frontmatter as YAML; JSON strings are valid YAML double-quoted scalars
+function buildFrontmatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => {
+      if (Array.isArray(value)) {
+        return `${key}:\n${value.map(item => `  - ${JSON.stringify(item)}`).join('\n')}`;
+      }
+      return `${key}: ${JSON.stringify(value)}`;
+    });
+
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
+module.exports = {
+  parsePatterns,
+  extractProperties,
+  insertPageHeader,
+  gitLastUpdated,
+  buildFrontmatter
+};
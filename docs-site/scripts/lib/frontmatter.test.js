@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePatterns, extractProperties, insertPageHeader, buildFrontmatter } = require('./frontmatter');
+
+test('parsePatterns reads the pattern names out of a Notion property', () => {
+  assert.deepStrictEqual(parsePatterns('Memento Pattern & Prototype Pattern'), ['Memento', 'Prototype']);
+  assert.deepStrictEqual(
+    parsePatterns('Decorator Pattern (Authentication), DAO Pattern (Data Access Security)'),
+    ['Decorator', 'DAO']
+  );
+  assert.deepStrictEqual(parsePatterns('Visitor and Composite'), ['Visitor', 'Composite']);
+});
+
+test('extractProperties lifts the header under the title and keeps other properties', () => {
+  const content = `# Billing
+
+**Patterns**: Chain of Responsibility Pattern
+**Repository**: github.com/globemed/hms
+**Author**: *Ishara*
+
+**Module**: Billing Module
+
+## Handlers
+`;
+
+  assert.deepStrictEqual(extractProperties(content), {
+    properties: { patterns: ['Chain of Responsibility'], author: 'Ishara', module: 'Billing Module' },
+    content: '# Billing\n\n**Repository**: github.com/globemed/hms\n\n## Handlers\n'
+  });
+});
+
+test('extractProperties stops at the first line that is not a property', () => {
+  const content = '# Billing\n\nIntro text.\n\n**Author**: Ishara\n';
+
+  assert.deepStrictEqual(extractProperties(content), { properties: {}, content });
+});
+
+test('insertPageHeader puts the header under the title, not under a heading in code', () => {
+  const content = '```markdown\n# Not the title\n```\n\n# Billing\n\nText';
+
+  assert.strictEqual(
+    insertPageHeader(content),
+    "import { PageHeader } from '../components/page-header'\n\n```markdown\n# Not the title\n```\n\n# Billing\n\n<PageHeader />\n\nText"
+  );
+});
+
+test('buildFrontmatter quotes strings and skips empty fields', () => {
+  assert.strictEqual(
+    buildFrontmatter({ title: 'Billing: "Claims"', patterns: ['Chain of Responsibility'], module: null, tags: [] }),
+    '---\ntitle: "Billing: \\"Claims\\""\npatterns:\n  - "Chain of Responsibility"\n---\n\n'
+  );
+});
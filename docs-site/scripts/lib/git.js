@@ -0,0 +1,18 @@
+const { execFileSync } = require('child_process');
+
+// Output of a git command run in `cwd`. Throws when git is missing or the command fails; callers
+// decide what a file or repository without history means for them. `options` go to
+// execFileSync, such as { encoding: 'buffer' } for binary file contents.
+function git(cwd, args, options = {}) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    maxBuffer: 256 * 1024 * 1024,
+    ...options
+  });
+}
+
+module.exports = {
+  git
+};
@@ -0,0 +1,194 @@
+const path = require('path');
+const { splitSections } = require('./slugger');
+const { generatedMarker } = require('./output');
+const { inline } = require('./catalogue');
+const { escapeXml } = require('./epub');
+const { git } = require('./git');
+
+const PAGE_HISTORY_IMPORT = "import { PageHistory } from '../components/page-history'";
+// Commits in the history panel of a page
+const HISTORY_LIMIT = 20;
+// Commits on the What's New page and in the feed
+const WHATS_NEW_LIMIT = 30;
+const FEED_ID = 'urn:globemed-hms-docs:whats-new';
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+function showFile(cwd, revision, file) {
+  try {
+    return git(cwd, ['show', `${revision}:${file}`]);
+  } catch (error) {
+    return null;
+  }
+}
+
+// H2 sections a commit added, changed or removed, as { heading, id, change }. Removed
+// sections have no id, since the page no longer has their anchor.
+function diffSections(before, after) {
+  const previous = new Map(splitSections(before).map(section => [section.id, section.hash]));
+  const current = splitSections(after);
+  const currentIds = new Set(current.map(section => section.id));
+
+  return [
+    ...current
+      .filter(section => previous.get(section.id) !== section.hash)
+      .map(({ id, heading }) => ({ heading: heading || 'Introduction', id, change: previous.has(id) ? 'changed' : 'added' })),
+    ...splitSections(before)
+      .filter(section => !currentIds.has(section.id))
+      .map(({ heading }) => ({ heading, id: null, change: 'removed' }))
+  ];
+}
+
+// Commits that changed a source file, newest first, following renames, as { hash, commit, date,
+// time, author, subject, added, sections }: `added` when the commit created the page, otherwise
+// the sections it touched. Empty when the file is not committed or git is missing.
+function pageHistory(filePath, limit = HISTORY_LIMIT) {
+  const cwd = path.dirname(filePath);
+  let log;
+  try {
+    // One commit more than shown, for the path the oldest one's parent had the file under
+    log = git(cwd, [
+      'log', '--follow', '--no-merges', `-n${limit + 1}`, '--name-only',
+      `--format=${RECORD}%H${FIELD}%cI${FIELD}%an${FIELD}%s`,
+      '--', path.basename(filePath)
+    ]);
+  } catch (error) {
+    return [];
+  }
+
+  const commits = log.split(RECORD).filter(Boolean).map(record => {
+    const [header, ...files] = record.split('\n').filter(line => line.trim() !== '');
+    const [hash, time, author, subject] = header.split(FIELD);
+    return { hash, time, author, subject, file: files[0] };
+  });
+
+  return commits.slice(0, limit).map(({ hash, time, author, subject, file }, index) => {
+    const previousFile = commits[index + 1] ? commits[index + 1].file : file;
+    const before = showFile(cwd, `${hash}^`, previousFile);
+    const after = showFile(cwd, hash, file) || '';
+    return {
+      hash,
+      commit: hash.slice(0, 7),
+      date: time.slice(0, 10),
+      time,
+      author,
+      subject,
+      added: before === null,
+      sections: before === null ? [] : diffSections(before, after)
+    };
+  });
+}
+
+// The history panel closes the page; it reads the history from the frontmatter
+function appendPageHistory(content) {
+  return `${PAGE_HISTORY_IMPORT}\n\n${content.trimEnd()}\n\n<PageHistory />\n`;
+}
+
+// The latest commits across every page, newest first, as { hash, commit, date, time, author,
+// subject, pages: [{ doc, added, sections }] }
+function collectChanges(histories, limit = WHATS_NEW_LIMIT) {
+  const changes = new Map();
+  histories.forEach(({ doc, history }) => {
+    history.forEach(({ hash, commit, date, time, author, subject, added, sections }) => {
+      if (!changes.has(hash)) {
+        changes.set(hash, { hash, commit, date, time, author, subject, pages: [] });
+      }
+      changes.get(hash).pages.push({ doc, added, sections });
+    });
+  });
+
+  return [...changes.values()]
+    .sort((a, b) => Date.parse(b.time) - Date.parse(a.time))
+    .slice(0, limit);
+}
+
+// "changed A, B; added C; removed D", with a link per section through `link(section)`
+function describeSections(sections, link) {
+  return ['changed', 'added', 'removed']
+    .map(change => [change, sections.filter(section => section.change === change)])
+    .filter(([, matching]) => matching.length > 0)
+    .map(([change, matching]) => `${change} ${matching.map(link).join(', ')}`)
+    .join('; ');
+}
+
+function describePage(page, pageLink, sectionLink) {
+  if (page.added) return `${pageLink}: new page`;
+  const sections = describeSections(page.sections, sectionLink);
+  return sections ? `${pageLink}: ${sections}` : pageLink;
+}
+
+// pages/whats-new.mdx: the latest changes, grouped by day
+function renderWhatsNew(changes, { feedUrl }) {
+  const days = [];
+  changes.forEach(change => {
+    if (days.length === 0 || days[days.length - 1].date !== change.date) {
+      days.push({ date: change.date, changes: [] });
+    }
+    days[days.length - 1].changes.push(change);
+  });
+
+  const body = days.map(({ date, changes: dayChanges }) => `## ${date}
+
+${dayChanges.map(change => `- **${inline(change.subject)}** (${inline(change.author)}, \`${change.commit}\`)
+${change.pages.map(page => `  - ${describePage(
+    page,
+    `[${inline(page.doc.title)}](/${page.doc.slug})`,
+    section => (section.id ? `[${inline(section.heading)}](/${page.doc.slug}#${section.id})` : inline(section.heading))
+  )}`).join('\n')}`).join('\n')}`).join('\n\n');
+
+  return `---
+title: "What's New"
+description: "Recent changes to the GlobeMed Healthcare Management System documentation"
+---
+
+${generatedMarker('the git history of every page')}
+
+# What's New
+
+The latest changes to the documentation, newest first, with the sections each commit touched. Follow them in a feed reader through the <a href="${feedUrl}">Atom feed</a>.
+
+${body || 'No changes are recorded yet.'}
+`;
+}
+
+// public/feed.xml: the What's New entries as an Atom feed. Links are absolute with siteUrl,
+// and relative to the feed's own address otherwise.
+function renderAtomFeed(changes, { siteUrl, basePath }) {
+  const base = `${(siteUrl || '').replace(/\/$/, '')}${basePath}`;
+  const entries = changes.map(change => {
+    const items = change.pages.map(page => `<li>${describePage(
+      page,
+      `<a href="${base}/${page.doc.slug}/">${escapeXml(page.doc.title)}</a>`,
+      section => (section.id ? `<a href="${base}/${page.doc.slug}/#${section.id}">${escapeXml(section.heading)}</a>` : escapeXml(section.heading))
+    )}</li>`);
+
+    return `  <entry>
+    <title>${escapeXml(change.subject)}</title>
+    <id>urn:globemed-hms-docs:commit:${change.hash}</id>
+    <link rel="alternate" type="text/html" href="${base}/${change.pages[0].doc.slug}/"/>
+    <updated>${change.time}</updated>
+    <author><name>${escapeXml(change.author)}</name></author>
+    <content type="html">${escapeXml(`<ul>${items.join('')}</ul>`)}</content>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>GlobeMed HMS Documentation – What's New</title>
+  <subtitle>Recent changes to the GlobeMed Healthcare Management System documentation</subtitle>
+  <id>${FEED_ID}</id>
+  <link rel="alternate" type="text/html" href="${base}/whats-new/"/>
+  <link rel="self" type="application/atom+xml" href="${base}/feed.xml"/>
+  <updated>${changes.length > 0 ? changes[0].time : new Date(0).toISOString()}</updated>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+module.exports = {
+  pageHistory,
+  appendPageHistory,
+  collectChanges,
+  renderWhatsNew,
+  renderAtomFeed
+};
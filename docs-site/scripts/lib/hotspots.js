@@ -0,0 +1,103 @@
+const fs = require('fs');
+const { resolveAnchor } = require('./links');
+
+const POSITION_KEYS = ['x', 'y', 'width', 'height'];
+
+// "Diagram.png" -> "Diagram.hotspots.json", next to the image in the Notion export
+function hotspotsPath(imagePath) {
+  return imagePath.replace(/\.[^./\\]+$/, '.hotspots.json');
+}
+
+// The hotspots listed in an image's sidecar file, or null when it has none
+function loadHotspots(imagePath) {
+  const sidecar = hotspotsPath(imagePath);
+  if (!fs.existsSync(sidecar)) return null;
+
+  const { hotspots } = JSON.parse(fs.readFileSync(sidecar, 'utf8'));
+  if (!Array.isArray(hotspots)) {
+    throw new Error('expected a "hotspots" array');
+  }
+  return hotspots;
+}
+
+// Resolve each hotspot's target to a site route, as page links are. A hotspot is a rectangle in
+// the image's own pixels pointing at either a `section` (a heading of the image's page, or
+// "<page>#<heading>") or a `class` from the class reference. Returns { hotspots, errors };
+// hotspots that do not resolve are left out.
+function resolveHotspots(hotspots, { page, anchors, symbols }) {
+  const resolved = [];
+  const errors = [];
+
+  hotspots.forEach((hotspot, index) => {
+    const report = message => errors.push({ hotspot: index + 1, message });
+
+    if (!POSITION_KEYS.every(key => Number.isFinite(hotspot[key]))) {
+      report('needs numeric x, y, width and height');
+      return;
+    }
+
+    let href = null;
+    if (hotspot.class) {
+      const symbol = symbols.get(hotspot.class);
+      if (!symbol) {
+        report(`unknown class: ${hotspot.class}`);
+        return;
+      }
+      href = `/reference/${symbol.slug}`;
+    } else if (hotspot.section) {
+      const [targetPage, hash] = hotspot.section.includes('#') ? hotspot.section.split('#') : [page, hotspot.section];
+      const ids = anchors.get(targetPage || page);
+      const id = ids ? resolveAnchor(ids, hash) : null;
+      if (!id) {
+        report(`missing section: ${hotspot.section}`);
+        return;
+      }
+      href = `/${targetPage || page}#${id}`;
+    } else {
+      report('needs a section or a class to link to');
+      return;
+    }
+
+    const { x, y, width, height, label, section } = hotspot;
+    resolved.push({
+      x,
+      y,
+      width,
+      height,
+      label: label || hotspot.class || section,
+      // Kept so the viewer's authoring mode can export the file again
+      ...(hotspot.class ? { class: hotspot.class } : { section }),
+      href
+    });
+  });
+
+  return { hotspots: resolved, errors };
+}
+
+// hotspots.json for the image viewer: published image URL -> its resolved hotspots
+function serializeHotspotIndex(manifest) {
+  const entries = {};
+  [...manifest.values()]
+    .filter(image => image.hotspots && image.hotspots.length > 0)
+    .forEach(({ url, hotspots }) => {
+      entries[url] = hotspots;
+    });
+  return JSON.stringify(entries, null, 2);
+}
+
+function printHotspotReport(errors) {
+  if (errors.length === 0) return;
+
+  console.error(`\n❌ ${errors.length} diagram hotspot(s) could not be linked:`);
+  errors.forEach(({ file, hotspot, message }) => {
+    console.error(`   ${hotspot ? `${file} (hotspot ${hotspot})` : file}  ${message}`);
+  });
+}
+
+module.exports = {
+  hotspotsPath,
+  loadHotspots,
+  resolveHotspots,
+  serializeHotspotIndex,
+  printHotspotReport
+};
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { mapLinks } = require('./links');
+
+const IMAGE_REGEX = /\.(png|jpe?g|svg|gif|webp|avif)$/i;
+const EXTERNAL_REGEX = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+// Names Notion gives pasted images, which say nothing about what they show
+const GENERIC_ALT_REGEX = /^(?:image|img|untitled|screenshot)(?: \d+)?$/i;
+
+// basePath from next.config.js, so generated URLs match where the static export is served
+function loadBasePath(configPath) {
+  try {
+    return (require(configPath).basePath || '').replace(/\/$/, '');
+  } catch (error) {
+    console.error(`⚠️  Could not read basePath from ${configPath}:`, error.message);
+    return '';
+  }
+}
+
+function hashFile(filePath) {
+  return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// "image 1.png" -> "image-1.png": no spaces or escapes in published URLs
+function safeFileName(fileName) {
+  const ext = path.extname(fileName).toLowerCase();
+  const base = path.basename(fileName, path.extname(fileName))
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${base || 'image'}${ext}`;
+}
+
+function listImages(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(dirent => {
+    const fullPath = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) return listImages(fullPath);
+    return IMAGE_REGEX.test(dirent.name) ? [fullPath] : [];
+  });
+}
+
+// Local images a page references, resolved to absolute paths
+function referencedImages(content, sourcePath) {
+  const found = [];
+  mapLinks(content, ({ isImage, target }) => {
+    if (EXTERNAL_REGEX.test(target) || target.startsWith('/') || target.startsWith('#')) return null;
+    const filePath = target.split('#')[0];
+    if (!isImage && !IMAGE_REGEX.test(filePath)) return null;
+
+    let decoded = filePath;
+    try {
+      decoded = decodeURIComponent(filePath);
+    } catch (error) {
+      // keep the raw target, the link check reports it as missing
+    }
+    const resolved = path.resolve(path.dirname(sourcePath), decoded);
+    if (fs.existsSync(resolved)) found.push(resolved);
+    return null;
+  });
+  return found;
+}
+
+// Decide where every image lands under public/images.
+// Each page gets its own folder (public/images/<slug>/), so Notion's generic "image.png" names
+// cannot overwrite each other. Images inside a page's export folder belong to that page; images
+// referenced from elsewhere belong to the first page that uses them. Snapshots of older versions
+// pass their `folder` (public/images/<version>/<slug>/). Returns a Map from absolute source path
+// to { source, file, url, hash }.
+function buildImageManifest(docs, { sourceDir, basePath, folder = null, hash: hashImage = hashFile }) {
+  const owners = new Map();
+
+  docs.forEach(doc => {
+    listImages(doc.assetDir).forEach(imagePath => owners.set(path.resolve(imagePath), doc.slug));
+  });
+  docs.forEach(doc => {
+    referencedImages(fs.readFileSync(doc.sourcePath, 'utf8'), doc.sourcePath).forEach(imagePath => {
+      if (!owners.has(imagePath)) owners.set(imagePath, doc.slug);
+    });
+  });
+
+  const manifest = new Map();
+  const taken = new Set();
+
+  [...owners.keys()].sort().forEach(imagePath => {
+    const slug = owners.get(imagePath);
+    const hash = hashImage(imagePath);
+    let fileName = safeFileName(path.basename(imagePath));
+
+    if (taken.has(`${slug}/${fileName}`)) {
+      const ext = path.extname(fileName);
+      fileName = `${path.basename(fileName, ext)}-${hash.slice(0, 8)}${ext}`;
+    }
+    taken.add(`${slug}/${fileName}`);
+
+    const file = folder ? `${folder}/${slug}/${fileName}` : `${slug}/${fileName}`;
+    manifest.set(imagePath, {
+      source: path.relative(sourceDir, imagePath).split(path.sep).join('/'),
+      file,
+      url: `${basePath}/images/${file}`,
+      hash
+    });
+  });
+
+  return manifest;
+}
+
+// Alt text worth showing or searching: Notion uses the file name, so "Part_C_-_Billing.png"
+// -> "Part C - Billing". Null for generic names such as "image.png".
+function describeImage(alt) {
+  const description = alt.replace(IMAGE_REGEX, '').replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+  return description && !GENERIC_ALT_REGEX.test(description) ? description : null;
+}
+
+function serializeImageManifest(manifest) {
+  const entries = {};
+  [...manifest.values()].forEach(({ source, file, url, hash }) => {
+    entries[source] = { file, url, hash };
+  });
+  return JSON.stringify(entries, null, 2);
+}
+
+module.exports = {
+  loadBasePath,
+  hashFile,
+  safeFileName,
+  buildImageManifest,
+  describeImage,
+  serializeImageManifest
+};
@@ -0,0 +1,309 @@
+const { scanLines, collectHeadings } = require('./slugger');
+
+const MODIFIERS = '(?:(?:public|protected|private|static|final|abstract|synchronized|native|default|transient|volatile|sealed)\\s+)*';
+// A Java type as written in a declaration: List<Map<String, Integer>>, String[], java.util.Date
+const TYPE = '[\\w.]+(?:<[^;=(){}]*>)?(?:\\[\\])*';
+
+const TYPE_DECLARATION_REGEX = /^(?:[\w\s]*\s)?(class|interface|enum|record)\s+(\w+)(?:\s*<[^{]*?>)?(?:\s*\([^)]*\))?(?:\s+extends\s+([^{]+?))?(?:\s+implements\s+([^{]+?))?$/;
+const METHOD_REGEX = new RegExp(`^(${MODIFIERS})(?:<[^>]+>\\s+)?(${TYPE})\\s+(\\w+)\\s*\\(([^)]*)\\)(?:\\s*throws\\s+[\\w.,\\s]+)?$`);
+const CONSTRUCTOR_REGEX = new RegExp(`^(${MODIFIERS})(\\w+)\\s*\\(([^)]*)\\)(?:\\s*throws\\s+[\\w.,\\s]+)?$`);
+const FIELD_REGEX = new RegExp(`^(${MODIFIERS})(${TYPE})\\s+(\\w+)(?:\\s*=[\\s\\S]*)?$`);
+
+// Words that can precede "(" in a statement but never name a member
+const KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'synchronized', 'return', 'new', 'throw', 'else', 'try', 'do']);
+
+// Drop comments and string/char literals, so braces and semicolons inside them are not counted
+function stripNoise(code) {
+  return code
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/g, '""')
+    .replace(/\/\/.*$/gm, ' ');
+}
+
+function normalise(text) {
+  return text
+    .replace(/@\w+(?:\([^)]*\))?/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([<>,()[\]])\s*/g, '$1')
+    .replace(/,/g, ', ')
+    .trim();
+}
+
+function splitTypes(list) {
+  return list ? list.split(/,(?![^<]*>)/).map(type => type.trim()).filter(Boolean) : [];
+}
+
+// Find the types declared in one snippet, with the fields and methods declared directly in them.
+// Snippets are excerpts rather than compilable files, so this only tracks braces and looks at the
+// text between them: a declaration followed by "{" opens a type or a method body, one followed
+// by ";" at type level is a field or an abstract method.
+function parseJava(code) {
+  const types = [];
+  const stack = [];
+  let header = '';
+
+  const currentType = () => {
+    const top = stack[stack.length - 1];
+    return top && top.type;
+  };
+
+  for (const char of stripNoise(code)) {
+    if (char !== '{' && char !== '}' && char !== ';') {
+      header += char;
+      continue;
+    }
+
+    const statement = normalise(header);
+    header = '';
+    const type = currentType();
+
+    if (char === '{') {
+      const declaration = statement.match(TYPE_DECLARATION_REGEX);
+      if (declaration) {
+        const [, kind, name, extendsList, implementsList] = declaration;
+        const declared = {
+          name,
+          kind,
+          enclosing: type ? type.name : null,
+          extends: splitTypes(extendsList),
+          implements: splitTypes(implementsList),
+          fields: [],
+          methods: [],
+          // Enum bodies open with their constants, which are not fields
+          inConstants: kind === 'enum'
+        };
+        types.push(declared);
+        stack.push({ type: declared });
+        continue;
+      }
+
+      if (type && !type.inConstants) {
+        addMethod(type, statement);
+      }
+      stack.push({ type: null });
+    } else if (char === '}') {
+      stack.pop();
+    } else if (type) {
+      if (type.inConstants) {
+        type.inConstants = false;
+      } else if (!addMethod(type, statement)) {
+        addField(type, statement);
+      }
+    }
+  }
+
+  return types.map(({ inConstants, ...type }) => type);
+}
+
+function addMethod(type, statement) {
+  // Constructors first: METHOD_REGEX also reads "public Handler(...)" as a method returning "public"
+  const constructor = statement.match(CONSTRUCTOR_REGEX);
+  if (constructor && constructor[2] === type.name) {
+    const [, modifiers, name, params] = constructor;
+    type.methods.push({ name, signature: `${modifiers}${name}(${params})`, isConstructor: true });
+    return true;
+  }
+
+  const method = statement.match(METHOD_REGEX);
+  if (method && !KEYWORDS.has(method[3]) && !KEYWORDS.has(method[2])) {
+    const [, modifiers, returns, name, params] = method;
+    type.methods.push({ name, signature: `${modifiers}${returns} ${name}(${params})` });
+    return true;
+  }
+
+  return false;
+}
+
+function addField(type, statement) {
+  const field = statement.match(FIELD_REGEX);
+  if (field && !KEYWORDS.has(field[2])) {
+    const [, modifiers, fieldType, name] = field;
+    type.fields.push({ name, signature: `${modifiers}${fieldType} ${name}` });
+  }
+}
+
+// PatientRecordMemento -> patient-record-memento, IUser -> i-user, StaffDAO -> staff-dao
+function symbolSlug(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1-$2')
+    .toLowerCase();
+}
+
+// Multi-word names (PatientRecord, StaffDAO) are unambiguous in prose; single words such as
+// Patient or Doctor are only linked when written as inline code
+function isDistinctive(name) {
+  return /[a-z0-9][A-Z]/.test(name);
+}
+
+// The section (nearest heading above) that a line belongs to
+function sectionFinder(doc, content, page) {
+  const headings = collectHeadings(content);
+  return line => {
+    const heading = headings.filter(entry => entry.line < line).pop();
+    return {
+      slug: doc.slug,
+      pageTitle: doc.title,
+      id: heading ? heading.id : null,
+      heading: heading ? heading.value : null,
+      // Position in the site, for listing sections in reading order
+      page,
+      line: heading ? heading.line : 0
+    };
+  };
+}
+
+function byReadingOrder(a, b) {
+  return a.page - b.page || a.line - b.line;
+}
+
+function addSection(list, section) {
+  if (!list.some(entry => entry.slug === section.slug && entry.id === section.id)) {
+    list.push(section);
+  }
+}
+
+function mergeMembers(target, members) {
+  members.forEach(member => {
+    if (!target.some(existing => existing.signature === member.signature)) {
+      target.push(member);
+    }
+  });
+}
+
+// Build the symbol index from every ```java block of every page:
+// name -> { name, slug, kind, enclosing, extends, implements, fields, methods, definitions, mentions }
+// where definitions are the sections declaring the type and mentions the sections naming it
+// elsewhere, in prose or in other snippets.
+function buildSymbolIndex(pages) {
+  const symbols = new Map();
+  const blocks = [];
+
+  pages.forEach(({ doc, content }, page) => {
+    const sectionOf = sectionFinder(doc, content, page);
+    let block = null;
+
+    scanLines(content).forEach(({ text, line, inCode }) => {
+      if (!inCode) return;
+      const fence = text.match(/^\s*(`{3,}|~{3,})\s*(\S*)/);
+
+      if (block === null) {
+        block = { fence: fence[1], java: fence[2].toLowerCase() === 'java', lines: [], section: sectionOf(line) };
+      } else if (fence && !fence[2] && fence[1][0] === block.fence[0] && fence[1].length >= block.fence.length) {
+        if (block.java) blocks.push(block);
+        block = null;
+      } else {
+        block.lines.push(text);
+      }
+    });
+  });
+
+  blocks.forEach(block => {
+    block.code = block.lines.join('\n');
+    block.types = parseJava(block.code);
+    block.types.forEach(type => {
+      const symbol = symbols.get(type.name) || {
+        name: type.name,
+        slug: symbolSlug(type.name),
+        kind: type.kind,
+        enclosing: type.enclosing,
+        extends: [],
+        implements: [],
+        fields: [],
+        methods: [],
+        definitions: [],
+        mentions: []
+      };
+      symbol.extends = [...new Set([...symbol.extends, ...type.extends])];
+      symbol.implements = [...new Set([...symbol.implements, ...type.implements])];
+      mergeMembers(symbol.fields, type.fields);
+      mergeMembers(symbol.methods, type.methods);
+      addSection(symbol.definitions, block.section);
+      symbols.set(type.name, symbol);
+    });
+  });
+
+  // Snippets that use a type without declaring it
+  blocks.forEach(block => {
+    const declared = new Set(block.types.map(type => type.name));
+    symbols.forEach(symbol => {
+      if (!declared.has(symbol.name) && new RegExp(`\\b${symbol.name}\\b`).test(stripNoise(block.code))) {
+        addSection(symbol.mentions, block.section);
+      }
+    });
+  });
+
+  // Prose, outside code blocks
+  pages.forEach(({ doc, content }, page) => {
+    const sectionOf = sectionFinder(doc, content, page);
+    scanLines(content).forEach(({ text, line, inCode }) => {
+      if (inCode) return;
+      findSymbols(text, symbols).forEach(symbol => addSection(symbol.mentions, sectionOf(line)));
+    });
+  });
+
+  // A section that defines a type is not also listed as mentioning it
+  symbols.forEach(symbol => {
+    symbol.definitions.sort(byReadingOrder);
+    symbol.mentions = symbol.mentions
+      .filter(mention => !symbol.definitions.some(definition => definition.slug === mention.slug && definition.id === mention.id))
+      .sort(byReadingOrder);
+  });
+
+  return new Map([...symbols].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// Split a prose line into text and the parts that must not be touched: links, inline code,
+// HTML tags and bare URLs
+const PROTECTED_REGEX = /(!?\[(?:[^[\]]|\[[^\]]*\])*\]\([^)]*\)|`+[^`]*`+|<[^>]*>|https?:\/\/\S+)/;
+
+function findSymbols(text, symbols) {
+  const found = new Set();
+  text.split(PROTECTED_REGEX).forEach((segment, index) => {
+    const code = index % 2 === 1 && segment.match(/^`+\s*([\w.]+?)(?:\(\))?\s*`+$/);
+    if (code && symbols.has(code[1])) {
+      found.add(symbols.get(code[1]));
+    } else if (index % 2 === 0) {
+      (segment.match(/\b[A-Z]\w*\b/g) || []).forEach(word => {
+        if (symbols.has(word) && isDistinctive(word)) found.add(symbols.get(word));
+      });
+    }
+  });
+  return [...found];
+}
+
+// Turn the first mention of each class per section into a link to its reference page.
+// Headings, code blocks, existing links and inline code that is not just a class name are left alone.
+function linkSymbols(content, symbols) {
+  let linked = new Set();
+
+  return scanLines(content).map(({ text, inCode }) => {
+    if (inCode) return text;
+    if (/^#{1,6}\s/.test(text)) {
+      linked = new Set();
+      return text;
+    }
+
+    return text.split(PROTECTED_REGEX).map((segment, index) => {
+      if (index % 2 === 1) {
+        const code = segment.match(/^`+\s*([\w.]+?)(?:\(\))?\s*`+$/);
+        if (!code || !symbols.has(code[1]) || linked.has(code[1])) return segment;
+        linked.add(code[1]);
+        return `[${segment}](/reference/${symbols.get(code[1]).slug})`;
+      }
+
+      return segment.replace(/\b[A-Z]\w*\b/g, word => {
+        if (!symbols.has(word) || !isDistinctive(word) || linked.has(word)) return word;
+        linked.add(word);
+        return `[${word}](/reference/${symbols.get(word).slug})`;
+      });
+    }).join('');
+  }).join('\n');
+}
+
+module.exports = {
+  parseJava,
+  symbolSlug,
+  buildSymbolIndex,
+  linkSymbols
+};
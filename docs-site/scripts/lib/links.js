@@ -0,0 +1,156 @@
+const path = require('path');
+const { scanLines, slugify } = require('./slugger');
+
+// ![alt](target "title") and [text](target "title"); Notion URL-encodes spaces so targets never contain one
+const LINK_REGEX = /(!?)\[((?:[^\[\]]|\[[^\]]*\])*)\]\(([^()\s]+)(\s+"[^"]*")?\)/g;
+const EXTERNAL_REGEX = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+const IMAGE_REGEX = /\.(png|jpe?g|svg|gif|webp|avif)$/i;
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Accept both the exact Nextra id and a raw heading text such as "#1. Overview"
+function resolveAnchor(ids, hash) {
+  if (ids.has(hash)) return hash;
+  const slug = slugify(hash);
+  return ids.has(slug) ? slug : null;
+}
+
+function splitHash(target) {
+  const index = target.indexOf('#');
+  if (index === -1) {
+    return { pathPart: target, hash: null };
+  }
+  return { pathPart: target.slice(0, index), hash: safeDecode(target.slice(index + 1)) };
+}
+
+// Replace link targets outside code, leaving fenced blocks and inline code untouched
+function mapLinks(content, callback) {
+  return scanLines(content).map(({ text, line, inCode }) => {
+    if (inCode) return text;
+
+    return text.split(/(`+[^`]*`+)/).map((segment, index) => {
+      if (index % 2 === 1) return segment;
+      return segment.replace(LINK_REGEX, (match, bang, label, target, title = '') => {
+        const replacement = callback({ isImage: bang === '!', label, target, line });
+        if (replacement === undefined || replacement === null) return match;
+        return `${bang}[${label}](${replacement}${title})`;
+      });
+    }).join('');
+  }).join('\n');
+}
+
+// Link context shared by all pages of one run:
+//   docsByPath - absolute source path -> discovered doc
+//   anchors    - page slug -> Set of heading ids
+//   images     - absolute image path -> image manifest entry
+//   symbols    - Java type name -> symbol index entry, for links to the class reference
+//   routePrefix - prepended to page routes, "/v1" for the snapshot of an older version, "/si" for a locale
+//   problems   - collected broken links, reported once processing is done
+function createLinkContext(docs, anchors, images, symbols = new Map(), routePrefix = '') {
+  return {
+    docsByPath: new Map(docs.map(doc => [path.resolve(doc.sourcePath), doc])),
+    anchors,
+    images,
+    symbols,
+    routePrefix,
+    problems: []
+  };
+}
+
+// Rewrite relative links between Notion exports into site routes, and image references into
+// their published URLs, recording anything that does not resolve.
+function rewriteLinks(content, doc, context) {
+  const sourceDir = path.dirname(doc.sourcePath);
+  const report = (line, target, reason) => {
+    context.problems.push({ file: doc.fileName, line, target, reason });
+  };
+
+  return mapLinks(content, ({ isImage, target, line }) => {
+    if (EXTERNAL_REGEX.test(target)) return null;
+
+    const { pathPart, hash } = splitHash(target);
+
+    // Same-page anchor
+    if (!pathPart) {
+      if (!hash || isImage) return null;
+      const anchor = resolveAnchor(context.anchors.get(doc.slug), hash);
+      if (!anchor) {
+        report(line, target, 'missing anchor');
+        return null;
+      }
+      return `#${anchor}`;
+    }
+
+    // Already a site route
+    if (pathPart.startsWith('/')) return null;
+
+    const resolved = path.resolve(sourceDir, safeDecode(pathPart));
+
+    if (isImage || IMAGE_REGEX.test(resolved)) {
+      const image = context.images.get(resolved);
+      if (!image) {
+        report(line, target, 'missing image');
+        return null;
+      }
+      return image.url;
+    }
+
+    const targetDoc = context.docsByPath.get(resolved);
+    if (!targetDoc) {
+      report(line, target, 'missing page');
+      return null;
+    }
+
+    const route = `${context.routePrefix}/${targetDoc.slug}`;
+    if (!hash) return route;
+
+    const anchor = resolveAnchor(context.anchors.get(targetDoc.slug), hash);
+    if (!anchor) {
+      report(line, target, `missing anchor in /${targetDoc.slug}`);
+      return route;
+    }
+    return `${route}#${anchor}`;
+  });
+}
+
+// Published images a page references, in the order they appear
+function listPageImages(content, doc, images) {
+  const sourceDir = path.dirname(doc.sourcePath);
+  const found = [];
+
+  mapLinks(content, ({ isImage, target }) => {
+    if (!isImage || EXTERNAL_REGEX.test(target)) return null;
+    const image = images.get(path.resolve(sourceDir, safeDecode(splitHash(target).pathPart)));
+    if (image) found.push(image);
+    return null;
+  });
+
+  return found;
+}
+
+function printLinkReport(problems) {
+  if (problems.length === 0) {
+    console.log('🔗 All links resolved');
+    return;
+  }
+
+  console.error(`\n❌ Found ${problems.length} broken link(s):`);
+  problems.forEach(({ file, line, target, reason }) => {
+    console.error(`   ${file}:${line}  ${reason}: ${target}`);
+  });
+}
+
+module.exports = {
+  mapLinks,
+  resolveAnchor,
+  createLinkContext,
+  rewriteLinks,
+  listPageImages,
+  printLinkReport
+};
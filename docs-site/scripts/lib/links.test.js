@@ -0,0 +1,59 @@
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLinkContext, rewriteLinks, listPageImages } = require('./links');
+
+const SOURCE_DIR = path.resolve('/docs');
+const billing = { slug: 'billing-insurance', fileName: 'Part C Billing 123.md', sourcePath: path.join(SOURCE_DIR, 'Part C Billing 123.md') };
+const security = { slug: 'security', fileName: 'Part F Security 456.md', sourcePath: path.join(SOURCE_DIR, 'Part F Security 456.md') };
+const diagram = { url: '/images/billing-insurance/chain.png' };
+
+function linkContext(routePrefix) {
+  const anchors = new Map([
+    ['billing-insurance', new Set(['1-overview', 'handlers'])],
+    ['security', new Set(['dao-pattern'])]
+  ]);
+  const images = new Map([[path.join(SOURCE_DIR, 'Part C Billing 123', 'chain.png'), diagram]]);
+  return createLinkContext([billing, security], anchors, images, new Map(), routePrefix);
+}
+
+test('rewriteLinks points Notion links at site routes and images at their copies', () => {
+  const content = [
+    'See [Security](Part%20F%20Security%20456.md#DAO%20Pattern) and [the overview](#1.%20Overview).',
+    '![Chain](Part%20C%20Billing%20123/chain.png "The chain") and [the spec](https://example.com/a.md).'
+  ].join('\n');
+
+  assert.strictEqual(rewriteLinks(content, billing, linkContext('')), [
+    'See [Security](/security#dao-pattern) and [the overview](#1-overview).',
+    '![Chain](/images/billing-insurance/chain.png "The chain") and [the spec](https://example.com/a.md).'
+  ].join('\n'));
+});
+
+test('rewriteLinks prefixes the routes of a locale or snapshot', () => {
+  assert.strictEqual(rewriteLinks('[Security](Part%20F%20Security%20456.md)', billing, linkContext('/si')), '[Security](/si/security)');
+});
+
+test('rewriteLinks leaves code alone and reports what does not resolve', () => {
+  const context = linkContext('');
+  const content = [
+    '`[code](Missing.md)` and [gone](Missing.md) and [bad](Part%20F%20Security%20456.md#nowhere)',
+    '```markdown',
+    '[in a fence](Missing.md)',
+    '```',
+    '![lost](Part%20C%20Billing%20123/lost.png) and [here](#nothing)'
+  ].join('\n');
+
+  assert.strictEqual(rewriteLinks(content, billing, context), content.replace('Part%20F%20Security%20456.md#nowhere', '/security'));
+  assert.deepStrictEqual(context.problems.map(({ line, reason }) => `${line}: ${reason}`), [
+    '1: missing page',
+    '1: missing anchor in /security',
+    '5: missing image',
+    '5: missing anchor'
+  ]);
+});
+
+test('listPageImages lists the published images of a page in order', () => {
+  const content = '![a](Part%20C%20Billing%20123/chain.png)\n![b](https://example.com/x.png)\n![c](missing.png)';
+
+  assert.deepStrictEqual(listPageImages(content, billing, linkContext('').images), [diagram]);
+});
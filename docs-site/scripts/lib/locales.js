@@ -0,0 +1,52 @@
+// Languages of the documentation besides English. Shared by scripts/process-docs.js, which
+// generates a route per locale (/si/billing-insurance), and the site, which labels pages and
+// sets their language from the route. It uses no Node APIs, so the site can bundle it.
+//
+// A translation is a root markdown file named like its English source with the locale before
+// the extension: "Part C Billing and Insurance Claims - Chain of Res <id>.si.md".
+
+const DEFAULT_LOCALE = 'en';
+
+const LOCALES = {
+  si: {
+    name: 'සිංහල',
+    englishName: 'Sinhala',
+    // Marks a page that is shown in English
+    english: 'ඉංග්‍රීසි',
+    missing: 'මෙම පිටුව තවම සිංහලට පරිවර්තනය කර නැත. පහත දැක්වෙන්නේ ඉංග්‍රීසි පිටුවයි.',
+    stale: 'ඉංග්‍රීසි පිටුවේ මෑත වෙනස්කම් මෙම පරිවර්තනයේ නොතිබිය හැක.',
+    readEnglish: 'ඉංග්‍රීසි පිටුව බලන්න'
+  },
+  ta: {
+    name: 'தமிழ்',
+    englishName: 'Tamil',
+    english: 'ஆங்கிலம்',
+    missing: 'இந்தப் பக்கம் இன்னும் தமிழில் மொழிபெயர்க்கப்படவில்லை. கீழே ஆங்கிலப் பக்கம் காட்டப்பட்டுள்ளது.',
+    stale: 'ஆங்கிலப் பக்கத்தின் சமீபத்திய மாற்றங்கள் இந்த மொழிபெயர்ப்பில் இல்லாமல் இருக்கலாம்.',
+    readEnglish: 'ஆங்கிலப் பக்கத்தைப் பார்க்கவும்'
+  }
+};
+
+// Locale of a site route: "/si/billing-insurance" -> "si", anything else is English
+function localeOfRoute(route) {
+  const [first] = route.split('/').filter(Boolean);
+  return first && LOCALES[first] ? first : DEFAULT_LOCALE;
+}
+
+// Language of the page at a route, given public/languages.json: the route's locale when the
+// page is translated or is the locale's index, and English for the pages that fall back to it
+function pageLanguage(route, languages) {
+  const locale = localeOfRoute(route);
+  if (locale === DEFAULT_LOCALE) return locale;
+
+  const page = route.split('/').filter(Boolean).slice(1).join('/');
+  const language = languages.find(({ name }) => name === locale);
+  return !page || (language && language.translated.includes(page)) ? locale : DEFAULT_LOCALE;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  localeOfRoute,
+  pageLanguage
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { pageLanguage } = require('./locales');
+const { discoverDocs, discoverTranslations } = require('./discover');
+const { serializeLanguageIndex } = require('./translations');
+
+// A source folder with the given markdown files, removed after the test
+function sourceFolder(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'docs-locales-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(dir, name), content));
+  return dir;
+}
+
+const LANGUAGES = [
+  { name: 'en', route: '', translated: ['billing-insurance', 'patient-management'] },
+  { name: 'si', route: '/si', translated: ['billing-insurance'] }
+];
+
+test('pageLanguage is the locale of translated pages and of the locale index', () => {
+  assert.strictEqual(pageLanguage('/si/billing-insurance', LANGUAGES), 'si');
+  assert.strictEqual(pageLanguage('/si', LANGUAGES), 'si');
+});
+
+test('pageLanguage is English for English pages and untranslated locale pages', () => {
+  assert.strictEqual(pageLanguage('/patient-management', LANGUAGES), 'en');
+  assert.strictEqual(pageLanguage('/si/patient-management', LANGUAGES), 'en');
+  assert.strictEqual(pageLanguage('/ta/billing-insurance', LANGUAGES), 'en');
+});
+
+test('locales without a translation file are not generated', (t) => {
+  const dir = sourceFolder(t, {
+    'Billing 26026417036d80ccaf39d95b53ce872e.md': '# Billing & Insurance\n',
+    'Security 26026417036d800780f4fb6159bf240f.md': '# Security\n'
+  });
+  const docs = discoverDocs(dir, path.join(dir, 'overrides.json'));
+  const { translations, orphaned } = discoverTranslations(dir, docs);
+
+  assert.strictEqual(translations.size, 0);
+  assert.deepStrictEqual(orphaned, []);
+  assert.deepStrictEqual(JSON.parse(serializeLanguageIndex(docs, [])).map(({ name }) => name), ['en']);
+});
+
+test('a locale is generated once it has a translation file', (t) => {
+  const dir = sourceFolder(t, {
+    'Billing 26026417036d80ccaf39d95b53ce872e.md': '# Billing & Insurance\n',
+    'Billing 26026417036d80ccaf39d95b53ce872e.si.md': '# බිල්පත්\n'
+  });
+  const docs = discoverDocs(dir, path.join(dir, 'overrides.json'));
+  const { translations } = discoverTranslations(dir, docs);
+
+  assert.deepStrictEqual([...translations.keys()], ['si']);
+  assert.deepStrictEqual([...translations.get('si').keys()], ['billing-insurance']);
+});
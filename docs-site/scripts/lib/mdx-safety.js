@@ -0,0 +1,151 @@
+const { scanLines } = require('./slugger');
+
+// HTML that is valid JSX once void elements are self-closed; anything else that looks like a
+// tag (List<String>, Map<K, V>, <T>) is prose and gets escaped
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'aside', 'b', 'br', 'code', 'del', 'details', 'div', 'em', 'hr', 'i', 'img', 'ins',
+  'kbd', 'mark', 'p', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'u'
+]);
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+const TAG_REGEX = /^<(\/?)([A-Za-z][\w.-]*)((?:\s+[\w:-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/;
+const AUTOLINK_REGEX = /^<((?:https?|mailto):[^\s<>]+)>/i;
+
+function sanitizeTag(match) {
+  const [, closing, name, attributes, selfClosing] = match;
+  if (!ALLOWED_TAGS.has(name.toLowerCase())) return null;
+
+  const jsxAttributes = attributes
+    .replace(/\sclass=/g, ' className=')
+    // style="..." is a string in HTML but must be an object in JSX
+    .replace(/\sstyle\s*=\s*("[^"]*"|'[^']*')/g, '');
+  const close = !closing && (selfClosing || VOID_TAGS.has(name.toLowerCase())) ? ' />' : '>';
+  return `<${closing}${name}${jsxAttributes}${close}`;
+}
+
+// Escape one run of prose (no code spans) so MDX reads it as text
+function sanitizeText(text) {
+  let result = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    const rest = text.slice(i);
+
+    if (char === '\\' && i + 1 < text.length) {
+      // Keep existing markdown escapes as they are
+      result += text.slice(i, i + 2);
+      i += 2;
+    } else if (char === '{' || char === '}') {
+      result += `\\${char}`;
+      i++;
+    } else if (char === '<') {
+      const autolink = rest.match(AUTOLINK_REGEX);
+      const tag = rest.match(TAG_REGEX);
+      const safeTag = tag && sanitizeTag(tag);
+
+      if (autolink) {
+        // MDX has no <https://...> autolinks
+        result += `[${autolink[1]}](${autolink[1]})`;
+        i += autolink[0].length;
+      } else if (safeTag) {
+        result += safeTag;
+        i += tag[0].length;
+      } else {
+        result += '&lt;';
+        i++;
+      }
+    } else {
+      result += char;
+      i++;
+    }
+  }
+
+  return result;
+}
+
+// Escape MDX-hostile constructs outside fenced code and inline code: braces become literal text,
+// stray "<" (generics such as List<String>, comparisons) becomes &lt;, HTML comments become MDX
+// comments, and the HTML tags Notion exports are turned into valid JSX.
+function sanitizeMdx(content) {
+  let inComment = false;
+
+  return scanLines(content).map(({ text, inCode }) => {
+    if (inCode) return text;
+
+    let line = text;
+    let prefix = '';
+
+    if (inComment) {
+      const end = line.indexOf('-->');
+      if (end === -1) return line.replace(/\*\//g, '* /');
+      prefix = `${line.slice(0, end).replace(/\*\//g, '* /')}*/}`;
+      line = line.slice(end + 3);
+      inComment = false;
+    }
+
+    return prefix + line.split(/(`+[^`]*`+)/).map((segment, index) => {
+      if (index % 2 === 1) return segment;
+
+      // <!-- comment --> on one line, or the start of a multi-line one
+      return segment
+        .split(/(<!--[\s\S]*?-->)/)
+        .map(part => {
+          const comment = part.match(/^<!--([\s\S]*?)-->$/);
+          if (comment) return `{/*${comment[1].replace(/\*\//g, '* /')}*/}`;
+
+          const start = part.indexOf('<!--');
+          if (start !== -1) {
+            inComment = true;
+            return `${sanitizeText(part.slice(0, start))}{/*${part.slice(start + 4).replace(/\*\//g, '* /')}`;
+          }
+          return sanitizeText(part);
+        })
+        .join('');
+    }).join('');
+  }).join('\n');
+}
+
+// Compile a generated page the way Nextra will, and report where it fails.
+// @mdx-js/mdx is ESM-only, hence the dynamic import.
+async function checkMdx(body) {
+  const [{ compile }, { default: remarkGfm }] = await Promise.all([
+    import('@mdx-js/mdx'),
+    import('remark-gfm')
+  ]);
+
+  try {
+    await compile(body, { format: 'mdx', remarkPlugins: [remarkGfm] });
+    return null;
+  } catch (error) {
+    const line = error.line || (error.place && (error.place.line || (error.place.start && error.place.start.line))) || null;
+    return { line, message: error.reason || error.message };
+  }
+}
+
+// Map a line of the generated page back to the source markdown by looking for the same text
+function findSourceLine(sourceContent, generatedLine) {
+  if (!generatedLine || !generatedLine.trim()) return null;
+
+  const unescaped = generatedLine.replace(/\\([{}])/g, '$1').replace(/&lt;/g, '<').trim();
+  const index = sourceContent.split('\n').findIndex(line => line.trim() === unescaped || line.trim() === generatedLine.trim());
+  return index === -1 ? null : index + 1;
+}
+
+function printMdxReport(errors) {
+  if (errors.length === 0) return;
+
+  console.error(`\n❌ ${errors.length} page(s) will not compile as MDX:`);
+  errors.forEach(({ file, line, page, pageLine, message }) => {
+    const location = line ? `${file}:${line}` : file;
+    const generated = pageLine ? ` (${page}:${pageLine})` : '';
+    console.error(`   ${location}${generated}  ${message}`);
+  });
+}
+
+module.exports = {
+  sanitizeMdx,
+  checkMdx,
+  findSourceLine,
+  printMdxReport
+};
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sanitizeMdx, checkMdx, findSourceLine } = require('./mdx-safety');
+
+test('sanitizeMdx escapes braces and generics in prose, not in code', () => {
+  const content = [
+    'A List<String> of {id} values, when count < 3, via `Map<K, {V}>`.',
+    '```java',
+    'Map<String, List<Claim>> claims = new HashMap<>() {{ }};',
+    '```'
+  ].join('\n');
+
+  assert.strictEqual(sanitizeMdx(content), [
+    'A List&lt;String> of \\{id\\} values, when count &lt; 3, via `Map<K, {V}>`.',
+    '```java',
+    'Map<String, List<Claim>> claims = new HashMap<>() {{ }};',
+    '```'
+  ].join('\n'));
+});
+
+test('sanitizeMdx turns exported HTML into JSX', () => {
+  assert.strictEqual(
+    sanitizeMdx('<p class="note" style="color: red">Line<br>break</p> and <https://example.com>'),
+    '<p className="note">Line<br />break</p> and [https://example.com](https://example.com)'
+  );
+});
+
+test('sanitizeMdx turns HTML comments into MDX comments', () => {
+  assert.strictEqual(sanitizeMdx('Before <!-- note --> after'), 'Before {/* note */} after');
+  assert.strictEqual(sanitizeMdx('<!-- first\nsecond */ line\n--> after {x}'), '{/* first\nsecond * / line\n*/} after \\{x\\}');
+});
+
+test('sanitized prose compiles as MDX', async () => {
+  const content = '# Claims\n\nA Map<String, Claim> keyed by {claimId} <!-- todo -->, when total <= limit.\n';
+
+  assert.notStrictEqual(await checkMdx(content), null);
+  assert.strictEqual(await checkMdx(sanitizeMdx(content)), null);
+});
+
+test('findSourceLine maps an escaped line back to the source', () => {
+  assert.strictEqual(findSourceLine('# Title\n\nUses List<String> and {id}\n', 'Uses List&lt;String> and \\{id\\}'), 3);
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+const { scanLines } = require('./slugger');
+
+// Marker written into every generated page; --prune only ever deletes pages that carry it
+const GENERATED_MARKER = '{/* Generated by scripts/process-docs.js';
+
+// All file system changes of a run go through here, so --dry-run can print them instead
+class OutputWriter {
+  constructor({ rootDir, dryRun = false }) {
+    this.rootDir = rootDir;
+    this.dryRun = dryRun;
+    // Content a dry run would have written, so later steps see the same state as a real run
+    this.pending = new Map();
+  }
+
+  readFile(filePath) {
+    if (this.pending.has(filePath)) {
+      return this.pending.get(filePath);
+    }
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+
+  relative(filePath) {
+    return path.relative(this.rootDir, filePath).split(path.sep).join('/');
+  }
+
+  // Write only when the content differs, so `next dev` does not reload pages that did not change
+  writeFile(filePath, content) {
+    const exists = fs.existsSync(filePath);
+    const previous = exists ? fs.readFileSync(filePath, 'utf8') : '';
+    if (this.readFile(filePath) === content) {
+      return false;
+    }
+
+    if (this.dryRun) {
+      this.pending.set(filePath, content);
+      const name = this.relative(filePath);
+      process.stdout.write(createTwoFilesPatch(
+        exists ? `a/${name}` : '/dev/null',
+        `b/${name}`,
+        previous,
+        content
+      ));
+      return true;
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return true;
+  }
+
+  // writeFile for generated binaries such as the EPUB book
+  writeBinaryFile(filePath, buffer) {
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath).equals(buffer)) {
+      return false;
+    }
+
+    if (this.dryRun) {
+      console.log(`Binary file b/${this.relative(filePath)} would be written (${buffer.length} bytes)`);
+      return true;
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, buffer);
+    return true;
+  }
+
+  copyFile(sourcePath, destPath) {
+    if (this.dryRun) {
+      console.log(`Binary file b/${this.relative(destPath)} would be copied from ${sourcePath}`);
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.copyFileSync(sourcePath, destPath);
+  }
+
+  removeFile(filePath) {
+    if (this.dryRun) {
+      this.pending.set(filePath, null);
+      console.log(`Deleted file a/${this.relative(filePath)}`);
+      return;
+    }
+
+    fs.rmSync(filePath);
+    // Drop folders the deletion left empty, e.g. public/images/<removed-page>/
+    let dir = path.dirname(filePath);
+    while (dir !== this.rootDir && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir);
+      dir = path.dirname(dir);
+    }
+  }
+}
+
+function isGeneratedPage(content) {
+  return content.includes(GENERATED_MARKER);
+}
+
+function generatedMarker(sourceName) {
+  return `${GENERATED_MARKER} from "${sourceName}". Edit the source markdown instead. */}`;
+}
+
+// Generated pages import components relative to pages/; version snapshots and translations
+// sit one folder deeper
+function nestImports(content) {
+  return scanLines(content).map(({ text, inCode }) => {
+    if (inCode || !/^import\s/.test(text)) return text;
+    return text.replace(/from '\.\.\/components\//, "from '../../components/");
+  }).join('\n');
+}
+
+module.exports = {
+  OutputWriter,
+  isGeneratedPage,
+  generatedMarker,
+  nestImports
+};
@@ -0,0 +1,116 @@
+const { sanitizeMdx } = require('./mdx-safety');
+const { generatedMarker } = require('./output');
+
+const KIND_LABELS = {
+  class: 'Class',
+  interface: 'Interface',
+  enum: 'Enum',
+  record: 'Record'
+};
+
+function inline(text) {
+  return sanitizeMdx(text).replace(/([[\]|])/g, '\\$1');
+}
+
+function sectionLink({ slug, pageTitle, id, heading }) {
+  const label = heading ? `${inline(pageTitle)} › ${inline(heading)}` : inline(pageTitle);
+  return `[${label}](/${slug}${id ? `#${id}` : ''})`;
+}
+
+// Link a type name to its reference page when it is one of ours (List<PatientRecord> stays plain)
+function typeLink(name, symbols) {
+  return symbols.has(name) ? `[\`${name}\`](/reference/${symbols.get(name).slug})` : `\`${name}\``;
+}
+
+function renderSymbolPage(symbol, symbols) {
+  const kind = KIND_LABELS[symbol.kind] || symbol.kind;
+  const facts = [`**${kind}**`];
+  if (symbol.enclosing) facts.push(`nested in ${typeLink(symbol.enclosing, symbols)}`);
+  if (symbol.extends.length) facts.push(`extends ${symbol.extends.map(name => typeLink(name, symbols)).join(', ')}`);
+  if (symbol.implements.length) facts.push(`implements ${symbol.implements.map(name => typeLink(name, symbols)).join(', ')}`);
+
+  const subtypes = [...symbols.values()]
+    .filter(other => other.extends.includes(symbol.name) || other.implements.includes(symbol.name))
+    .map(other => typeLink(other.name, symbols));
+  if (subtypes.length) facts.push(`known subtypes: ${subtypes.join(', ')}`);
+
+  const nested = [...symbols.values()].filter(other => other.enclosing === symbol.name);
+
+  const sections = [];
+  if (symbol.fields.length) {
+    sections.push(`## Fields\n\n${symbol.fields.map(field => `- \`${field.signature}\``).join('\n')}`);
+  }
+  if (symbol.methods.length) {
+    sections.push(`## Methods\n\n${symbol.methods.map(method => `- \`${method.signature}\``).join('\n')}`);
+  }
+  if (nested.length) {
+    sections.push(`## Nested Types\n\n${nested.map(other => `- ${typeLink(other.name, symbols)}`).join('\n')}`);
+  }
+  sections.push(`## Defined In\n\n${symbol.definitions.map(section => `- ${sectionLink(section)}`).join('\n')}`);
+  if (symbol.mentions.length) {
+    sections.push(`## Referenced In\n\n${symbol.mentions.map(section => `- ${sectionLink(section)}`).join('\n')}`);
+  }
+
+  return `---
+title: "${symbol.name}"
+description: "${symbol.name} ${kind.toLowerCase()} - GlobeMed Healthcare Management System Java class reference"
+---
+
+${generatedMarker('the java code blocks of every page')}
+
+# ${symbol.name}
+
+${facts.join(' · ')}
+
+Members are collected from the documented snippets, which may show only part of the class.
+
+${sections.join('\n\n')}
+`;
+}
+
+// Every type, then every field and method, with the type that declares it
+function renderSymbolIndex(symbols) {
+  const types = [...symbols.values()].map(symbol => {
+    const kind = KIND_LABELS[symbol.kind] || symbol.kind;
+    const definedIn = symbol.definitions.map(section => `[${inline(section.pageTitle)}](/${section.slug}${section.id ? `#${section.id}` : ''})`);
+    return `| ${typeLink(symbol.name, symbols)} | ${kind} | ${[...new Set(definedIn)].join(', ')} |`;
+  });
+
+  const members = [...symbols.values()]
+    .flatMap(symbol => [
+      ...symbol.fields.map(field => ({ name: field.name, kind: 'Field', owner: symbol })),
+      ...symbol.methods.filter(method => !method.isConstructor).map(method => ({ name: `${method.name}()`, kind: 'Method', owner: symbol }))
+    ])
+    .filter((member, index, list) => list.findIndex(other => other.name === member.name && other.owner === member.owner) === index)
+    .sort((a, b) => a.name.localeCompare(b.name) || a.owner.name.localeCompare(b.owner.name))
+    .map(member => `| \`${member.name}\` | ${member.kind} | ${typeLink(member.owner.name, symbols)} |`);
+
+  return `---
+title: "Symbol Index"
+description: "Classes, interfaces, fields and methods from the GlobeMed Healthcare Management System code samples"
+---
+
+${generatedMarker('the java code blocks of every page')}
+
+# Symbol Index
+
+The ${symbols.size} types declared in the Java code samples of this documentation. Each one has a reference page listing its members and every section where it is defined or referenced.
+
+## Types
+
+| Type | Kind | Defined in |
+|------|------|------------|
+${types.join('\n')}
+
+## Fields and Methods
+
+| Member | Kind | Declared in |
+|--------|------|-------------|
+${members.join('\n')}
+`;
+}
+
+module.exports = {
+  renderSymbolPage,
+  renderSymbolIndex
+};
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseJava, buildSymbolIndex } = require('./java-symbols');
+const { renderSymbolIndex } = require('./reference');
+
+const CODE = `public class InsuranceHandler extends ClaimHandler {
+    private final String provider;
+
+    public InsuranceHandler(String provider) {
+        this.provider = provider;
+    }
+
+    public boolean handle(Claim claim) {
+        return claim.isCovered();
+    }
+}`;
+
+test('parseJava flags constructors and keeps ordinary methods', () => {
+  const [type] = parseJava(CODE);
+
+  assert.strictEqual(type.name, 'InsuranceHandler');
+  assert.deepStrictEqual(type.fields.map(field => field.name), ['provider']);
+  assert.deepStrictEqual(
+    type.methods.map(({ name, isConstructor }) => ({ name, isConstructor: Boolean(isConstructor) })),
+    [{ name: 'InsuranceHandler', isConstructor: true }, { name: 'handle', isConstructor: false }]
+  );
+});
+
+test('renderSymbolIndex lists fields and methods, without constructors', () => {
+  const doc = { slug: 'billing-insurance', title: 'Billing & Insurance Claims' };
+  const symbols = buildSymbolIndex([{ doc, content: `# Billing\n\n## Handlers\n\n\`\`\`java\n${CODE}\n\`\`\`\n` }]);
+  const index = renderSymbolIndex(symbols);
+
+  assert.match(index, /\| `provider` \| Field \|/);
+  assert.match(index, /\| `handle\(\)` \| Method \|/);
+  assert.doesNotMatch(index, /\| `InsuranceHandler\(\)` \| Method \|/);
+});
@@ -0,0 +1,142 @@
+const { scanLines, collectHeadings } = require('./slugger');
+const { extractProperties } = require('./frontmatter');
+const { describeImage } = require('./images');
+const { tokenize } = require('./search-terms');
+
+// Headings and page titles count this many times over a word in the text below them
+const HEADING_WEIGHT = 3;
+const DIAGRAM_LANGUAGES = new Set(['mermaid', 'plantuml']);
+const IMAGE_REGEX = /!\[([^\]]*)\]\([^)]*\)/g;
+
+function codeType(language) {
+  if (language === 'java' || language === 'sql') return language;
+  return DIAGRAM_LANGUAGES.has(language) ? 'diagram' : 'code';
+}
+
+// One line of markdown as the text a reader sees
+function plainText(text) {
+  return text
+    .replace(IMAGE_REGEX, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    // HTML tags are lowercase in Notion exports; Map<String, Claim> in prose is text
+    .replace(/<\/?[a-z][\w-]*(?:\s[^<>]*)?\/?>/g, ' ')
+    .replace(/^\s*(?:>\s*)*(?:[-*+]\s+(?:\[[ x]\]\s+)?|\d+\.\s+)?/, '')
+    .replace(/^\s*\|?[\s:|-]+\|[\s:|-]*$/, '')
+    .replace(/\|/g, ' ')
+    .replace(/(\*\*|__|~~|`)/g, '')
+    .replace(/(^|\s)[*_]|[*_](?=\s|[.,;:!?)]|$)/g, '$1')
+    .trim();
+}
+
+// Split a page into what search returns: the prose of each section, each code block and the
+// alt text of each image, each tagged with the section it sits in
+function pageDocuments(content, title) {
+  const headings = new Map(collectHeadings(content).map(heading => [heading.line, heading]));
+  const documents = [];
+  let section = { id: null, heading: title };
+  let prose = [];
+  let block = null;
+
+  const flushProse = () => {
+    if (prose.length > 0) {
+      documents.push({ ...section, type: 'prose', text: prose.join(' ') });
+    }
+    prose = [];
+  };
+
+  scanLines(content).forEach(({ text, line, inCode }) => {
+    if (inCode) {
+      const fence = text.match(/^\s*(`{3,}|~{3,})\s*(\S*)/);
+      if (block === null) {
+        block = { fence: fence[1], type: codeType(fence[2].toLowerCase()), lines: [] };
+      } else if (fence && !fence[2] && fence[1][0] === block.fence[0] && fence[1].length >= block.fence.length) {
+        const code = block.lines.join('\n').trim();
+        if (code) documents.push({ ...section, type: block.type, text: code });
+        block = null;
+      } else {
+        block.lines.push(text);
+      }
+      return;
+    }
+
+    if (headings.has(line)) {
+      flushProse();
+      const heading = headings.get(line);
+      section = { id: heading.id, heading: heading.value };
+      return;
+    }
+    // The page title is stored once, on the page
+    if (/^#\s/.test(text)) return;
+
+    for (const [, alt] of text.matchAll(IMAGE_REGEX)) {
+      const description = describeImage(alt);
+      if (description) documents.push({ ...section, type: 'diagram', text: description });
+    }
+    const plain = plainText(text);
+    if (plain) prose.push(plain);
+  });
+  flushProse();
+
+  return documents;
+}
+
+function countTerms(text, weight = 1, counts = new Map()) {
+  tokenize(text).forEach(({ term }) => counts.set(term, (counts.get(term) || 0) + weight));
+  return counts;
+}
+
+// The search index of every page:
+// { pages: [{ slug, title, patterns }], documents: [{ page, section, heading, type, text }],
+//   terms: { term: [document, count, document, count, ...] } }
+// Documents point at their page by position; section is the heading id, or null above the first.
+function buildSearchIndex(sources) {
+  const pages = [];
+  const documents = [];
+  const postings = new Map();
+
+  sources.forEach(({ doc, content }) => {
+    const { properties, content: body } = extractProperties(content);
+    const page = pages.length;
+    pages.push({ slug: doc.slug, title: doc.title, patterns: properties.patterns || [] });
+
+    pageDocuments(body, doc.title).forEach(({ id, heading, type, text }) => {
+      const document = documents.length;
+      documents.push({ page, section: id, heading, type, text });
+
+      // A section's heading is matched through its prose; the page title also through the intro
+      const counts = countTerms(text);
+      if (type === 'prose') {
+        countTerms(heading, HEADING_WEIGHT, counts);
+        if (id === null) countTerms(doc.title, HEADING_WEIGHT, counts);
+      }
+      counts.forEach((count, term) => {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push(document, count);
+      });
+    });
+  });
+
+  const terms = {};
+  [...postings.keys()].sort().forEach(term => {
+    terms[term] = postings.get(term);
+  });
+  return { pages, documents, terms };
+}
+
+// search-index.json, one document or term per line so --dry-run diffs stay readable
+function serializeSearchIndex(index) {
+  const list = (items) => items.map(item => JSON.stringify(item)).join(',\n');
+  return [
+    '{',
+    `"pages": [\n${list(index.pages)}\n],`,
+    `"documents": [\n${list(index.documents)}\n],`,
+    `"terms": {\n${Object.entries(index.terms).map(([term, entries]) => `${JSON.stringify(term)}: ${JSON.stringify(entries)}`).join(',\n')}\n}`,
+    '}',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  buildSearchIndex,
+  serializeSearchIndex
+};
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSearchIndex, serializeSearchIndex } = require('./search-index');
+
+const doc = { slug: 'billing-insurance', title: 'Billing & Insurance' };
+const CONTENT = `# Billing & Insurance
+
+**Patterns**: Chain of Responsibility Pattern
+
+Claims go through **handlers** in [order](#handlers).
+
+## Handlers
+
+- A Map<String, Claim> keyed by {claimId}<br/>
+
+\`\`\`java
+class InsuranceHandler {}
+\`\`\`
+
+![UML class diagram of the handlers](chain.png)
+
+## Handlers
+
+\`\`\`\`markdown
+\`\`\`mermaid
+graph TD
+\`\`\`
+\`\`\`\`
+`;
+
+test('buildSearchIndex splits a page into prose, code and diagram documents by section', () => {
+  const { pages, documents } = buildSearchIndex([{ doc, content: CONTENT }]);
+
+  assert.deepStrictEqual(pages, [{ slug: 'billing-insurance', title: 'Billing & Insurance', patterns: ['Chain of Responsibility'] }]);
+  assert.deepStrictEqual(documents.map(({ section, type, text }) => ({ section, type, text })), [
+    { section: null, type: 'prose', text: 'Claims go through handlers in order.' },
+    { section: 'handlers', type: 'java', text: 'class InsuranceHandler {}' },
+    { section: 'handlers', type: 'diagram', text: 'UML class diagram of the handlers' },
+    { section: 'handlers', type: 'prose', text: 'A Map<String, Claim> keyed by {claimId}' },
+    { section: 'handlers-1', type: 'code', text: '```mermaid\ngraph TD\n```' }
+  ]);
+});
+
+test('buildSearchIndex weighs headings over body text', () => {
+  const { terms } = buildSearchIndex([{ doc, content: CONTENT }]);
+
+  assert.deepStrictEqual(terms.handlers, [0, 1, 2, 1, 3, 3]);
+  assert.deepStrictEqual(terms.handler, [1, 1]);
+  assert.deepStrictEqual(terms.claimid, [3, 1]);
+  assert.deepStrictEqual(terms.string, [3, 1]);
+});
+
+test('serializeSearchIndex writes valid JSON, one entry per line', () => {
+  const index = buildSearchIndex([{ doc, content: CONTENT }]);
+  const json = serializeSearchIndex(index);
+
+  assert.deepStrictEqual(JSON.parse(json), index);
+  assert.ok(json.split('\n').length > index.documents.length + Object.keys(index.terms).length);
+});
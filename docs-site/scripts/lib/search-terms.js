@@ -0,0 +1,201 @@
+// Tokenising and querying for the site search. Shared by scripts/process-docs.js, which builds
+// the index, and components/search.js, which queries it in the browser, so both split words the
+// same way. It uses no Node APIs, so the site can bundle it.
+
+const WORD_REGEX = /[\p{L}\p{M}\p{N}_]+/gu;
+// Parts of an identifier: InsuranceHandler -> Insurance, Handler; StaffDAO -> Staff, DAO;
+// patient_id -> patient, id
+const PART_REGEX = /\p{Lu}+(?!\p{Ll})|\p{Lu}?\p{Ll}+|\p{N}+|[\p{Lo}\p{M}]+/gu;
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on',
+  'or', 'that', 'the', 'this', 'to', 'with'
+]);
+
+// Content types, in the order the search page lists them
+const CONTENT_TYPES = {
+  prose: 'Prose',
+  java: 'Java',
+  sql: 'SQL',
+  code: 'Other code',
+  diagram: 'Diagrams'
+};
+const CODE_TYPES = new Set(['java', 'sql', 'code']);
+// A word the reader is still typing counts less for the longer words it completes to
+const PREFIX_WEIGHT = 0.5;
+
+function isIndexed(term) {
+  return term.length > 1 && !STOP_WORDS.has(term);
+}
+
+// Every indexed term of `text` with its position: each word and, for identifiers written in
+// camelCase or snake_case, each of their parts, so "handler" finds InsuranceHandler
+function tokenize(text) {
+  const tokens = [];
+  const add = (term, start) => {
+    const lower = term.toLowerCase();
+    if (isIndexed(lower)) tokens.push({ term: lower, start, end: start + term.length });
+  };
+
+  for (const word of text.matchAll(WORD_REGEX)) {
+    add(word[0], word.index);
+    const parts = [...word[0].matchAll(PART_REGEX)];
+    if (parts.length > 1) {
+      parts.forEach(part => add(part[0], word.index + part.index));
+    }
+  }
+  return tokens;
+}
+
+// The words of a query. Until the reader types a space the last word also matches as a prefix,
+// so results appear while they type.
+function parseQuery(query) {
+  const words = [...new Set((query.match(WORD_REGEX) || []).map(word => word.toLowerCase()))].filter(isIndexed);
+  return { words, prefix: words.length > 0 && !/\s$/.test(query) };
+}
+
+function matchingTerms(index, word, prefix) {
+  if (!prefix) return index.terms[word] ? [word] : [];
+  return Object.keys(index.terms).filter(term => term.startsWith(word));
+}
+
+// Documents containing every word of the query, best first, with result counts per page,
+// pattern and content type. Counts ignore the filters, so every option shows what it would add.
+// filters: { page, pattern, type }, each a value or null for all.
+function search(index, query, filters = {}) {
+  const { words, prefix } = parseQuery(query);
+  const terms = new Set();
+  let scores = null;
+
+  words.forEach((word, position) => {
+    const wordScores = new Map();
+    matchingTerms(index, word, prefix && position === words.length - 1).forEach(term => {
+      terms.add(term);
+      const postings = index.terms[term];
+      // Postings are flat [document, count, document, count, ...] pairs
+      const idf = Math.log(1 + index.documents.length / (postings.length / 2));
+      for (let offset = 0; offset < postings.length; offset += 2) {
+        const [document, count] = [postings[offset], postings[offset + 1]];
+        const score = idf * count / (count + 1.2) * (term === word ? 1 : PREFIX_WEIGHT);
+        wordScores.set(document, Math.max(wordScores.get(document) || 0, score));
+      }
+    });
+
+    scores = scores === null
+      ? wordScores
+      : new Map([...scores].filter(([document]) => wordScores.has(document))
+        .map(([document, score]) => [document, score + wordScores.get(document)]));
+  });
+
+  const matches = [...(scores || [])].map(([id, score]) => {
+    const document = index.documents[id];
+    return { id, score, document, page: index.pages[document.page] };
+  });
+
+  const results = matches
+    .filter(({ document, page }) =>
+      (!filters.page || page.slug === filters.page) &&
+      (!filters.pattern || page.patterns.includes(filters.pattern)) &&
+      (!filters.type || document.type === filters.type))
+    .sort((a, b) => b.score - a.score || a.id - b.id);
+
+  return { results, facets: countFacets(index, matches), terms };
+}
+
+function countFacets(index, matches) {
+  const count = (values) => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return counts;
+  };
+  const pages = count(matches.map(({ page }) => page.slug));
+  const patterns = count(matches.flatMap(({ page }) => page.patterns));
+  const types = count(matches.map(({ document }) => document.type));
+
+  return {
+    page: index.pages
+      .filter(page => pages.has(page.slug))
+      .map(page => ({ value: page.slug, label: page.title, count: pages.get(page.slug) })),
+    pattern: [...new Set(index.pages.flatMap(page => page.patterns))]
+      .filter(pattern => patterns.has(pattern))
+      .map(pattern => ({ value: pattern, label: pattern, count: patterns.get(pattern) })),
+    type: Object.keys(CONTENT_TYPES)
+      .filter(type => types.has(type))
+      .map(type => ({ value: type, label: CONTENT_TYPES[type], count: types.get(type) }))
+  };
+}
+
+// Where the most different query terms match close together, earliest first
+function bestMatch(matches, reach) {
+  let best = matches[0] || { start: 0 };
+  let bestCount = 0;
+  matches.forEach(match => {
+    const nearby = new Set(matches
+      .filter(other => other.start >= match.start && other.end <= match.start + reach)
+      .map(other => other.term));
+    if (nearby.size > bestCount) {
+      best = match;
+      bestCount = nearby.size;
+    }
+  });
+  return best;
+}
+
+// The part of a document around its best match, as plain and highlighted pieces. Code keeps
+// its lines: the matching line with one line either side.
+function highlight(document, terms, length = 200) {
+  const { text } = document;
+  const isCode = CODE_TYPES.has(document.type);
+  const matches = tokenize(text)
+    .filter(token => terms.has(token.term))
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+  const ranges = [];
+  matches.forEach(({ start, end }) => {
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  const first = bestMatch(matches, isCode ? 120 : length / 2);
+  let start;
+  let end;
+  if (isCode) {
+    const lineStart = text.lastIndexOf('\n', first.start - 1) + 1;
+    start = lineStart > 0 ? text.lastIndexOf('\n', lineStart - 2) + 1 : 0;
+    const lineEnd = text.indexOf('\n', first.start);
+    const nextEnd = lineEnd === -1 ? -1 : text.indexOf('\n', lineEnd + 1);
+    end = lineEnd === -1 ? text.length : nextEnd === -1 ? text.length : nextEnd;
+  } else {
+    // Start a little before the match, at a word boundary
+    start = first.start > 60 ? text.indexOf(' ', first.start - 60) + 1 : 0;
+    end = Math.min(text.length, start + length);
+    if (end < text.length && text.lastIndexOf(' ', end) > first.start) {
+      end = text.lastIndexOf(' ', end);
+    }
+  }
+
+  const parts = [];
+  let position = start;
+  ranges
+    .filter(range => range.end > start && range.start < end)
+    .forEach(range => {
+      const from = Math.max(range.start, start);
+      if (from > position) parts.push({ text: text.slice(position, from), match: false });
+      position = Math.min(range.end, end);
+      parts.push({ text: text.slice(from, position), match: true });
+    });
+  if (position < end) parts.push({ text: text.slice(position, end), match: false });
+
+  return { parts, truncatedStart: start > 0, truncatedEnd: end < text.length };
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  CODE_TYPES,
+  tokenize,
+  parseQuery,
+  search,
+  highlight
+};
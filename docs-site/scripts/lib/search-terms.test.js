@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, parseQuery, search, highlight } = require('./search-terms');
+
+// Two pages, five documents: prose, Java and a diagram description
+const INDEX = {
+  pages: [
+    { slug: 'billing-insurance', title: 'Billing', patterns: ['Chain of Responsibility'] },
+    { slug: 'security', title: 'Security', patterns: ['Decorator', 'DAO'] }
+  ],
+  documents: [
+    { page: 0, section: 'handlers', heading: 'Handlers', type: 'prose', text: 'Every handler passes the claim on.' },
+    { page: 0, section: 'handlers', heading: 'Handlers', type: 'java', text: 'class InsuranceHandler {\n  boolean handle(Claim claim) {\n    return claim.isCovered();\n  }\n}' },
+    { page: 1, section: 'dao', heading: 'DAO', type: 'java', text: 'class StaffDAO implements Handler {}' },
+    { page: 1, section: 'dao', heading: 'DAO', type: 'diagram', text: 'Handler and DAO class diagram' },
+    { page: 1, section: null, heading: 'Security', type: 'prose', text: 'Access checks for staff.' }
+  ],
+  terms: {
+    access: [4, 1],
+    claim: [0, 1, 1, 2],
+    handle: [1, 1],
+    handler: [0, 1, 1, 1, 2, 1, 3, 1],
+    handlers: [0, 3, 1, 3],
+    insurancehandler: [1, 1],
+    staff: [2, 1, 4, 1],
+    staffdao: [2, 1]
+  }
+};
+
+test('tokenize indexes identifiers and their parts, without stop words', () => {
+  assert.deepStrictEqual(
+    tokenize('The InsuranceHandler of patient_id, StaffDAO<Map> {x2}').map(({ term }) => term),
+    ['insurancehandler', 'insurance', 'handler', 'patient_id', 'patient', 'id', 'staffdao', 'staff', 'dao', 'map', 'x2']
+  );
+  assert.deepStrictEqual(tokenize('Map<K, V>')[0], { term: 'map', start: 0, end: 3 });
+});
+
+test('parseQuery matches the last word as a prefix until a space is typed', () => {
+  assert.deepStrictEqual(parseQuery('The Claim hand'), { words: ['claim', 'hand'], prefix: true });
+  assert.deepStrictEqual(parseQuery('claim claim '), { words: ['claim'], prefix: false });
+});
+
+test('search returns documents with every word, exact matches first', () => {
+  const { results, terms } = search(INDEX, 'claim handl');
+
+  assert.deepStrictEqual(results.map(result => result.id), [1, 0]);
+  assert.deepStrictEqual([...terms].sort(), ['claim', 'handle', 'handler', 'handlers']);
+  assert.deepStrictEqual(search(INDEX, 'claim handl ').results, []);
+});
+
+test('search filters results but counts facets over every match', () => {
+  const { results, facets } = search(INDEX, 'handler ', { pattern: 'DAO', type: 'java' });
+
+  assert.deepStrictEqual(results.map(result => result.id), [2]);
+  assert.deepStrictEqual(facets.page.map(({ value, count }) => `${value} ${count}`), ['billing-insurance 2', 'security 2']);
+  assert.deepStrictEqual(facets.type.map(({ value, count }) => `${value} ${count}`), ['prose 1', 'java 2', 'diagram 1']);
+});
+
+test('highlight keeps the matching line of code with one line either side', () => {
+  const { parts, truncatedStart, truncatedEnd } = highlight(INDEX.documents[1], new Set(['covered']));
+
+  assert.strictEqual(parts.map(part => part.text).join(''), '  boolean handle(Claim claim) {\n    return claim.isCovered();\n  }');
+  assert.deepStrictEqual(parts.filter(part => part.match).map(part => part.text), ['Covered']);
+  assert.deepStrictEqual([truncatedStart, truncatedEnd], [true, true]);
+});
+
+test('highlight merges overlapping matches in prose', () => {
+  const document = { type: 'prose', text: 'The InsuranceHandler settles claims.' };
+
+  assert.deepStrictEqual(highlight(document, new Set(['insurancehandler', 'handler'])).parts, [
+    { text: 'The ', match: false },
+    { text: 'InsuranceHandler', match: true },
+    { text: ' settles claims.', match: false }
+  ]);
+});
@@ -0,0 +1,123 @@
+// Heading anchors, generated the same way Nextra does it (github-slugger).
+// github-slugger is ESM-only, so its behaviour is mirrored here for the CommonJS scripts:
+// lowercase, drop everything that is not a letter, mark, number, underscore, space or hyphen,
+// then turn spaces into hyphens and de-duplicate with a numeric suffix.
+const { hashContent } = require('./cache');
+
+const STRIP_REGEX = /[^\p{L}\p{M}\p{N}\p{Pc} -]/gu;
+
+// Inline HTML that renders as an element; other angle brackets (List<String>) are heading text
+const INLINE_TAGS = new Set(['a', 'b', 'br', 'code', 'del', 'em', 'i', 'img', 'ins', 'kbd', 'mark', 'small', 'span', 'strong', 'sub', 'sup', 'u']);
+
+class Slugger {
+  constructor() {
+    this.occurrences = new Map();
+  }
+
+  slug(value) {
+    const base = slugify(value);
+    let result = base;
+
+    while (this.occurrences.has(result)) {
+      const count = this.occurrences.get(base) + 1;
+      this.occurrences.set(base, count);
+      result = `${base}-${count}`;
+    }
+
+    this.occurrences.set(result, 0);
+    return result;
+  }
+
+  reset() {
+    this.occurrences.clear();
+  }
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(STRIP_REGEX, '').replace(/ /g, '-');
+}
+
+// Reduce inline markdown in a heading to the text Nextra sees when it builds the anchor
+function headingText(markdown) {
+  return markdown
+    .replace(/\s*\[#[^\]]+\]\s*$/, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/(\*\*|__)(.*?)\1/g, '$2')
+    .replace(/(\*|_)(.*?)\1/g, '$2')
+    .replace(/~~(.*?)~~/g, '$1')
+    .replace(/<\/?([A-Za-z][\w-]*)[^<>]*>/g, (tag, name) => (INLINE_TAGS.has(name.toLowerCase()) ? '' : tag))
+    .trim();
+}
+
+// Split markdown into lines, flagging the ones inside fenced code blocks
+function scanLines(content) {
+  let fence = null;
+
+  return content.split('\n').map((text, index) => {
+    const fenceMatch = text.match(/^\s*(`{3,}|~{3,})/);
+    let inCode = fence !== null;
+
+    if (fenceMatch) {
+      if (fence === null) {
+        fence = fenceMatch[1];
+        inCode = true;
+      } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+        inCode = true;
+      }
+    }
+
+    return { text, line: index + 1, inCode };
+  });
+}
+
+// List the H2-H6 headings of a page with the ids Nextra will give them (H1 is the page title)
+function collectHeadings(content) {
+  const slugger = new Slugger();
+  const headings = [];
+
+  scanLines(content).forEach(({ text, line, inCode }) => {
+    if (inCode) return;
+    const match = text.match(/^(#{2,6})\s+(.+?)\s*#*\s*$/);
+    if (!match) return;
+
+    // Nextra's custom heading id syntax: ## Heading [#custom-id]
+    const customId = match[2].match(/\[#([^\]]+)\]\s*$/);
+    const value = headingText(match[2]);
+    headings.push({
+      depth: match[1].length,
+      value,
+      id: slugger.slug(customId ? customId[1] : value),
+      line
+    });
+  });
+
+  return headings;
+}
+
+// H2 sections of a markdown page as { id, heading, hash }. The text before the first H2 is the
+// introduction, with a null id; headings are told apart by their anchor, which is unique.
+function splitSections(content) {
+  const lines = content.split('\n');
+  const starts = [
+    { id: null, heading: null, line: 1 },
+    ...collectHeadings(content).filter(heading => heading.depth === 2)
+      .map(({ id, value, line }) => ({ id, heading: value, line }))
+  ];
+
+  return starts.map(({ id, heading, line }, index) => {
+    const end = index + 1 < starts.length ? starts[index + 1].line - 1 : lines.length;
+    return { id, heading, hash: hashContent(lines.slice(line - 1, end).join('\n').trim()) };
+  });
+}
+
+module.exports = {
+  Slugger,
+  slugify,
+  headingText,
+  scanLines,
+  collectHeadings,
+  splitSections
+};
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Slugger, headingText, scanLines, collectHeadings } = require('./slugger');
+
+test('Slugger numbers duplicate headings like github-slugger', () => {
+  const slugger = new Slugger();
+
+  assert.deepStrictEqual(
+    ['Overview', 'Overview', 'Overview-1', 'Overview'].map(value => slugger.slug(value)),
+    ['overview', 'overview-1', 'overview-1-1', 'overview-2']
+  );
+});
+
+test('headingText keeps generics and drops inline markup', () => {
+  assert.strictEqual(headingText('**9. User Interface (UI)** `Screenshots`'), '9. User Interface (UI) Screenshots');
+  assert.strictEqual(headingText('Using <strong>List<String></strong>'), 'Using List<String>');
+  assert.strictEqual(headingText('Billing [#billing]'), 'Billing');
+});
+
+test('scanLines only closes a fence with a matching, long enough fence', () => {
+  const content = ['````markdown', '```java', '## Not a heading', '```', '````', '## Heading'].join('\n');
+
+  assert.deepStrictEqual(scanLines(content).map(line => line.inCode), [true, true, true, true, true, false]);
+});
+
+test('collectHeadings skips code blocks and keeps custom ids', () => {
+  const content = `# Title
+
+## Handlers
+
+\`\`\`java
+## commented out
+\`\`\`
+
+### Handlers
+
+## Chain [#the-chain]
+`;
+
+  assert.deepStrictEqual(
+    collectHeadings(content).map(({ depth, value, id }) => ({ depth, value, id })),
+    [
+      { depth: 2, value: 'Handlers', id: 'handlers' },
+      { depth: 3, value: 'Handlers', id: 'handlers-1' },
+      { depth: 2, value: 'Chain', id: 'the-chain' }
+    ]
+  );
+});
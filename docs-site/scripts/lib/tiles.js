@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const TILE_SIZE = 512;
+// Images with a longer side than this get a tile pyramid, so the image viewer can stream the
+// detail the reader zooms into instead of loading the whole file
+const TILE_THRESHOLD = 2500;
+const TILED_FORMATS = new Set(['png', 'jpeg', 'webp']);
+// Bump when the tiling options change, so existing pyramids are rebuilt
+const TILE_VERSION = 1;
+
+// Deep Zoom layout of an image, or null when it is small enough to open whole.
+// Level `maxLevel` is the full image and every level below halves it, down to 1x1.
+async function planTiles(imagePath, url) {
+  const { width, height, format } = await sharp(imagePath).metadata();
+  if (!TILED_FORMATS.has(format) || Math.max(width, height) <= TILE_THRESHOLD) {
+    return null;
+  }
+
+  const tileFormat = format === 'png' ? 'png' : 'jpeg';
+  return {
+    url: `${url.replace(/\.[^./]+$/, '')}_files`,
+    width,
+    height,
+    tileSize: TILE_SIZE,
+    maxLevel: Math.ceil(Math.log2(Math.max(width, height))),
+    format: tileFormat
+  };
+}
+
+// Cache key of a pyramid: rebuilt when the image or the tiling options change
+function tilesKey(imageHash) {
+  return `${TILE_VERSION}:${imageHash}`;
+}
+
+// Write <name>.dzi and <name>_files/<level>/<column>_<row>.<format> next to the published image
+async function writeTiles(imagePath, destPath, tiles) {
+  const base = destPath.replace(/\.[^./]+$/, '');
+  // A resized image has a different grid; stale tiles would otherwise survive
+  fs.rmSync(`${base}_files`, { recursive: true, force: true });
+
+  await sharp(imagePath)
+    .toFormat(tiles.format)
+    .tile({ size: tiles.tileSize, overlap: 0, layout: 'dz' })
+    .toFile(`${base}.dz`);
+  fs.rmSync(path.join(`${base}_files`, 'vips-properties.xml'), { force: true });
+}
+
+// Published files that belong to the pyramid of `file` (relative to public/images)
+function isTileOf(candidate, file) {
+  const base = file.replace(/\.[^./]+$/, '');
+  return candidate === `${base}.dzi` || candidate.startsWith(`${base}_files/`);
+}
+
+// tiles.json for the image viewer: published image URL -> its tile layout
+function serializeTileIndex(manifest) {
+  const entries = {};
+  [...manifest.values()]
+    .filter(image => image.tiles)
+    .forEach(({ url, tiles }) => {
+      entries[url] = tiles;
+    });
+  return JSON.stringify(entries, null, 2);
+}
+
+module.exports = {
+  planTiles,
+  tilesKey,
+  writeTiles,
+  isTileOf,
+  serializeTileIndex
+};
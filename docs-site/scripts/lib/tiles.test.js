@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { planTiles, writeTiles, isTileOf, serializeTileIndex } = require('./tiles');
+
+// A blank PNG of the given size in a folder removed after the test
+async function blankImage(t, width, height) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'docs-tiles-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const imagePath = path.join(dir, 'diagram.png');
+  await sharp({ create: { width, height, channels: 3, background: '#ffffff' } }).png().toFile(imagePath);
+  return { dir, imagePath };
+}
+
+test('planTiles leaves images small enough to open whole', async (t) => {
+  const { imagePath } = await blankImage(t, 2500, 400);
+
+  assert.strictEqual(await planTiles(imagePath, '/images/overview/diagram.png'), null);
+});
+
+test('planTiles and writeTiles build a Deep Zoom pyramid of a large image', async (t) => {
+  const { dir, imagePath } = await blankImage(t, 3000, 600);
+  const tiles = await planTiles(imagePath, '/images/overview/diagram.png');
+
+  assert.deepStrictEqual(tiles, {
+    url: '/images/overview/diagram_files',
+    width: 3000,
+    height: 600,
+    tileSize: 512,
+    maxLevel: 12,
+    format: 'png'
+  });
+
+  const destPath = path.join(dir, 'out', 'diagram.png');
+  fs.mkdirSync(path.dirname(destPath));
+  await writeTiles(imagePath, destPath, tiles);
+
+  assert.ok(fs.existsSync(path.join(dir, 'out', 'diagram.dzi')));
+  assert.strictEqual(fs.readdirSync(path.join(dir, 'out', 'diagram_files', '12')).length, 6 * 2);
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'out', 'diagram_files', '0')), ['0_0.png']);
+  assert.ok(!fs.existsSync(path.join(dir, 'out', 'diagram_files', 'vips-properties.xml')));
+});
+
+test('isTileOf matches the pyramid files of an image only', () => {
+  assert.ok(isTileOf('overview/diagram.dzi', 'overview/diagram.png'));
+  assert.ok(isTileOf('overview/diagram_files/12/0_0.png', 'overview/diagram.png'));
+  assert.ok(!isTileOf('overview/diagram-2.dzi', 'overview/diagram.png'));
+  assert.ok(!isTileOf('overview/diagram.png', 'overview/diagram.png'));
+});
+
+test('serializeTileIndex lists tiled images by URL', () => {
+  const tiles = { url: '/images/a_files', width: 3000, height: 600, tileSize: 512, maxLevel: 12, format: 'png' };
+  const manifest = new Map([['/a.png', { url: '/images/a.png', tiles }], ['/b.png', { url: '/images/b.png' }]]);
+
+  assert.deepStrictEqual(JSON.parse(serializeTileIndex(manifest)), { '/images/a.png': tiles });
+});
@@ -0,0 +1,41 @@
+const { scanLines, collectHeadings } = require('./slugger');
+
+// Notion exports its table-of-contents block as a bare heading ("Table of Contents", "Table Of Content")
+const TOC_HEADING_REGEX = /^##\s+(?:\*\*)?table\s+of\s+contents?(?:\*\*)?\s*$/i;
+
+// Index of the placeholder heading, or -1 if the page has none or its TOC already has content
+function findEmptyToc(lines) {
+  const index = lines.findIndex(({ text, inCode }) => !inCode && TOC_HEADING_REGEX.test(text));
+  if (index === -1) return -1;
+
+  const next = lines.slice(index + 1).find(({ text }) => text.trim() !== '');
+  const isEmpty = !next || /^\s*(?:---+|\*\*\*+|#{1,6}\s)/.test(next.text);
+  return isEmpty ? index : -1;
+}
+
+// Replace Notion's empty "Table of Contents" section with a linked, nested list of the page's
+// H2 and H3 headings, using the same anchor ids Nextra gives those headings
+function fillTableOfContents(content) {
+  const lines = scanLines(content);
+  const index = findEmptyToc(lines);
+  if (index === -1) return content;
+
+  const tocLine = lines[index].line;
+  const entries = collectHeadings(content)
+    .filter(heading => heading.depth <= 3 && heading.line !== tocLine)
+    .map(heading => {
+      const indent = heading.depth === 3 ? '  ' : '';
+      const text = heading.value.replace(/([[\]\\])/g, '\\$1');
+      return `${indent}- [${text}](#${heading.id})`;
+    });
+
+  if (entries.length === 0) return content;
+
+  const texts = lines.map(({ text }) => text);
+  texts.splice(index + 1, 0, '', ...entries);
+  return texts.join('\n');
+}
+
+module.exports = {
+  fillTableOfContents
+};
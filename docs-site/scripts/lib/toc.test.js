@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fillTableOfContents } = require('./toc');
+
+test('fillTableOfContents lists H2 and H3 headings with their anchors', () => {
+  const content = `# Billing
+
+## Table of Contents
+
+## **Handlers**
+
+### Validation
+
+## Handlers
+
+\`\`\`markdown
+## Not a heading
+\`\`\`
+`;
+
+  assert.strictEqual(fillTableOfContents(content), `# Billing
+
+## Table of Contents
+
+- [Handlers](#handlers)
+  - [Validation](#validation)
+- [Handlers](#handlers-1)
+
+## **Handlers**
+
+### Validation
+
+## Handlers
+
+\`\`\`markdown
+## Not a heading
+\`\`\`
+`);
+});
+
+test('fillTableOfContents leaves a table of contents with content alone', () => {
+  const content = '## Table of Contents\n\n- [Handlers](#handlers)\n\n## Handlers\n';
+
+  assert.strictEqual(fillTableOfContents(content), content);
+});
@@ -0,0 +1,179 @@
+const path = require('path');
+const { splitSections } = require('./slugger');
+const { generatedMarker, nestImports } = require('./output');
+const { inline } = require('./catalogue');
+const { LOCALES } = require('./locales');
+const { git } = require('./git');
+
+const NOTICE_IMPORT = "import { TranslationNotice } from '../components/languages'";
+
+// The English page as it was when the translation was last committed (HEAD while it is not
+// committed yet), as { commit, date, content }. Null without git, where staleness is unknown.
+function englishBaseline(translation) {
+  const cwd = path.dirname(translation.sourcePath);
+  let commit;
+  let date;
+  try {
+    [commit, date] = git(cwd, ['log', '-1', '--format=%H %cs', '--', path.basename(translation.sourcePath)]).trim().split(' ');
+    if (!commit) {
+      [commit, date] = git(cwd, ['log', '-1', '--format=%H %cs', 'HEAD']).trim().split(' ');
+    }
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    return { commit, date, content: git(cwd, ['show', `${commit}:./${path.basename(translation.englishPath)}`]) };
+  } catch (error) {
+    // The English page was added after the translation
+    return { commit, date, content: '' };
+  }
+}
+
+// Status of one page in one locale: "missing" without a translation, "stale" when sections of
+// the English page changed since the translation was last committed, "translated" otherwise.
+// Stale sections are listed as { heading, id } of the current English page.
+function translationStatus(translation, englishContent) {
+  if (!translation) {
+    return { status: 'missing', stale: [] };
+  }
+
+  const baseline = englishBaseline(translation);
+  if (!baseline) {
+    return { status: 'translated', stale: [] };
+  }
+
+  const before = new Map(splitSections(baseline.content).map(section => [section.id, section.hash]));
+  const stale = splitSections(englishContent)
+    .filter(section => before.get(section.id) !== section.hash)
+    .map(({ id, heading }) => ({ id, heading: heading || 'Introduction' }));
+
+  return {
+    status: stale.length > 0 ? 'stale' : 'translated',
+    since: { commit: baseline.commit.slice(0, 7), date: baseline.date },
+    stale
+  };
+}
+
+// Pages shown in English, or translated from an older English page, open with a notice
+function prepareTranslatedPage(content, { locale, status, english }) {
+  if (status === 'translated') {
+    return nestImports(content);
+  }
+
+  const notice = `<TranslationNotice locale=${JSON.stringify(locale)} status=${JSON.stringify(status)} english=${JSON.stringify(english)} />`;
+  return nestImports(`${NOTICE_IMPORT}\n\n${notice}\n\n${content}`);
+}
+
+// pages/<locale>/index.mdx: the pages of a locale, marking the ones still in English, since
+// locale folders have no sidebar
+function renderLocaleIndex(locale, pages) {
+  const language = LOCALES[locale];
+  const links = pages.map(({ doc, status }) => {
+    const mark = status === 'missing' ? ` (${language.english})` : '';
+    return `- [${doc.title.replace(/([[\]])/g, '\\$1')}](/${locale}/${doc.slug})${mark}`;
+  });
+
+  return `---
+title: ${JSON.stringify(language.name)}
+description: ${JSON.stringify(`The GlobeMed Healthcare Management System documentation in ${language.englishName}`)}
+---
+
+${generatedMarker(`the ${language.englishName} translations`)}
+
+# GlobeMed HMS – ${language.name}
+
+${links.join('\n')}
+`;
+}
+
+function statusCell(locale, doc, { status, stale }) {
+  if (status === 'missing') return '❌ Not translated';
+  if (status === 'stale') return `⚠️ [${stale.length} stale section(s)](#${locale}-${doc.slug})`;
+  return `✅ [Up to date](/${locale}/${doc.slug})`;
+}
+
+// pages/translations.mdx: every page in every locale, and the sections of each translation whose
+// English text changed since the translation was last committed
+function renderTranslationReport(docs, locales) {
+  const codes = locales.map(({ locale }) => locale);
+  const header = `| Page | ${codes.map(locale => `${LOCALES[locale].name} (${LOCALES[locale].englishName})`).join(' | ')} |`;
+  const rows = docs.map((doc, index) => {
+    const cells = locales.map(({ locale, pages }) => statusCell(locale, doc, pages[index]));
+    return `| [${inline(doc.title)}](/${doc.slug}) | ${cells.join(' | ')} |`;
+  });
+
+  const sections = locales.map(({ locale, pages }) => {
+    const language = LOCALES[locale];
+    const stale = pages.filter(page => page.status === 'stale');
+    const translated = pages.filter(page => page.status !== 'missing').length;
+    const details = stale.map(({ doc, since, stale: sections }) => `### ${inline(doc.title)} [#${locale}-${doc.slug}]
+
+[${language.name}](/${locale}/${doc.slug}) was translated from the English page as of ${since.date} (\`${since.commit}\`). Changed since:
+
+${sections.map(section => `- [${inline(section.heading)}](/${doc.slug}${section.id ? `#${section.id}` : ''})`).join('\n')}`);
+
+    return `## ${language.englishName} [#${locale}]
+
+${translated} of ${pages.length} page(s) translated, ${stale.length} with stale sections.
+
+${details.join('\n\n') || 'Every translation is up to date.'}`;
+  });
+
+  return `---
+title: "Translation Status"
+description: "Which documentation pages are translated, and which translated sections are behind the English pages"
+---
+
+${generatedMarker('the translations')}
+
+# Translation Status
+
+A translation is compared with the English page as it was when the translation was last committed. A section is stale when its English text changed since; pages without a translation are shown in English.
+
+${header}
+|------|${codes.map(() => '---').join('|')}|
+${rows.join('\n')}
+
+${sections.join('\n\n')}
+`;
+}
+
+// public/languages.json: English first, then every locale. next.config.js hands it to the
+// language switcher in the navbar. Every locale has every page, falling back to English;
+// `translated` lists the pages that are not shown in English, for their language attributes.
+function serializeLanguageIndex(docs, locales) {
+  const pages = docs.map(doc => doc.slug);
+  return JSON.stringify([
+    { name: 'en', label: 'English', route: '', pages, translated: pages },
+    ...locales.map(({ locale, pages: localePages }) => ({
+      name: locale,
+      label: LOCALES[locale].name,
+      route: `/${locale}`,
+      pages,
+      translated: localePages.filter(page => page.status !== 'missing').map(page => page.doc.slug)
+    }))
+  ], null, 2);
+}
+
+function printTranslationReport(locales) {
+  const counts = locales
+    .filter(({ pages }) => pages.some(page => page.status !== 'missing'))
+    .map(({ locale, pages }) => {
+      const translated = pages.filter(page => page.status !== 'missing').length;
+      const stale = pages.filter(page => page.status === 'stale').length;
+      return `${LOCALES[locale].englishName} ${translated}/${pages.length}${stale > 0 ? ` (${stale} stale)` : ''}`;
+    });
+  if (counts.length === 0) return;
+
+  console.log(`🌐 Translations: ${counts.join(', ')} — see pages/translations.mdx`);
+}
+
+module.exports = {
+  translationStatus,
+  prepareTranslatedPage,
+  renderLocaleIndex,
+  renderTranslationReport,
+  serializeLanguageIndex,
+  printTranslationReport
+};
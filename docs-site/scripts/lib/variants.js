@@ -0,0 +1,105 @@
+const sharp = require('sharp');
+
+// Widths of the resized copies; phones take the smallest, 2x screens the largest
+const VARIANT_WIDTHS = [640, 1024, 1600];
+// Preferred first: browsers use the first <source> whose type they support
+const VARIANT_FORMATS = ['avif', 'webp'];
+const RESIZED_FORMATS = new Set(['png', 'jpeg', 'webp']);
+const PLACEHOLDER_WIDTH = 16;
+// Widest an image is shown in the documentation column, for `sizes`
+const CONTENT_WIDTH = 900;
+// Bump when the widths, formats or quality change, so existing variants are rebuilt
+const VARIANT_VERSION = 1;
+
+function variantUrl(url, width, format) {
+  return `${url.replace(/\.[^./]+$/, '')}-${width}w.${format}`;
+}
+
+// The resized copies of an image, with a tiny blurred placeholder shown while they load, or
+// null for SVGs, GIFs and other images that are served as they are
+async function planVariants(imagePath, url) {
+  const { width, height, format } = await sharp(imagePath).metadata();
+  if (!RESIZED_FORMATS.has(format)) return null;
+
+  // Images narrower than the largest width still get one copy, for the smaller formats
+  const widths = VARIANT_WIDTHS.filter(variantWidth => variantWidth < width);
+  if (width <= VARIANT_WIDTHS[VARIANT_WIDTHS.length - 1]) widths.push(width);
+
+  const placeholder = await sharp(imagePath).resize(PLACEHOLDER_WIDTH).webp({ quality: 50 }).toBuffer();
+  return {
+    width,
+    height,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    sources: Object.fromEntries(VARIANT_FORMATS.map(format => [
+      format,
+      widths.map(variantWidth => ({ width: variantWidth, url: variantUrl(url, variantWidth, format) }))
+    ]))
+  };
+}
+
+// Cache key of an image's variants: rebuilt when the image or the variant options change
+function variantsKey(imageHash) {
+  return `${VARIANT_VERSION}:${imageHash}`;
+}
+
+// Write <name>-<width>w.avif and <name>-<width>w.webp next to the published image
+async function writeVariants(imagePath, destPath, variants) {
+  for (const [format, sources] of Object.entries(variants.sources)) {
+    for (const { width } of sources) {
+      const image = sharp(imagePath).resize(width);
+      // Lower effort keeps AVIF encoding of the large diagrams to seconds
+      await (format === 'avif' ? image.avif({ quality: 55, effort: 2 }) : image.webp({ quality: 80 }))
+        .toFile(variantUrl(destPath, width, format));
+    }
+  }
+}
+
+// Every file writeVariants creates, for checking they are all still there
+function variantFiles(destPath, variants) {
+  return Object.entries(variants.sources).flatMap(([format, sources]) =>
+    sources.map(({ width }) => variantUrl(destPath, width, format)));
+}
+
+// Published files that are variants of `file` (relative to public/images)
+function isVariantOf(candidate, file) {
+  const base = file.replace(/\.[^./]+$/, '');
+  return candidate.startsWith(base) && /^-\d+w\.(?:avif|webp)$/.test(candidate.slice(base.length));
+}
+
+// The smallest variant, for thumbnails such as the home page cards
+function smallestVariantUrl(image) {
+  if (!image.variants) return image.url;
+  const [smallest] = image.variants.sources.webp;
+  return smallest.url;
+}
+
+// variants.json for next.config.js: published image URL -> what its <picture> needs
+function serializeVariantIndex(manifest) {
+  const entries = {};
+  [...manifest.values()]
+    .filter(image => image.variants)
+    .forEach(({ url, variants }) => {
+      const { width, height, placeholder, sources } = variants;
+      entries[url] = {
+        width,
+        height,
+        sizes: `(max-width: 768px) 100vw, ${Math.min(width, CONTENT_WIDTH)}px`,
+        placeholder,
+        ...Object.fromEntries(Object.entries(sources).map(([format, list]) => [
+          format,
+          list.map(source => `${source.url} ${source.width}w`).join(', ')
+        ]))
+      };
+    });
+  return JSON.stringify(entries, null, 2);
+}
+
+module.exports = {
+  planVariants,
+  variantsKey,
+  writeVariants,
+  variantFiles,
+  isVariantOf,
+  smallestVariantUrl,
+  serializeVariantIndex
+};
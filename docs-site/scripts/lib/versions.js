@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { git } = require('./git');
+const { generatedMarker, nestImports } = require('./output');
+
+// Tags that publish a snapshot of the documentation: v1, v2.1, v2.1.3
+const VERSION_TAG_REGEX = /^v\d+(?:\.\d+)*$/;
+const VERSION_BANNER_IMPORT = "import { VersionBanner } from '../components/versions'";
+// Commit a snapshot folder was extracted from
+const COMMIT_FILE = '.commit';
+
+function compareVersions(a, b) {
+  const aParts = a.slice(1).split('.').map(Number);
+  const bParts = b.slice(1).split('.').map(Number);
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    const difference = (aParts[i] || 0) - (bParts[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+// Version tags of the repository, newest first, as { name, commit, date }. The tag name is the
+// route prefix of the snapshot (/v1/billing-insurance). No tags, or no git, means no snapshots.
+function listVersions(repoDir) {
+  let tags;
+  try {
+    tags = git(repoDir, ['tag', '--list']).split('\n').filter(tag => VERSION_TAG_REGEX.test(tag));
+  } catch (error) {
+    return [];
+  }
+
+  return tags.sort(compareVersions).reverse().map(name => ({
+    name,
+    commit: git(repoDir, ['rev-parse', `${name}^{commit}`]).trim(),
+    date: git(repoDir, ['log', '-1', '--format=%cs', `${name}^{commit}`]).trim()
+  }));
+}
+
+// Root markdown files and their export folders as they were at `commit`
+function snapshotFiles(repoDir, commit) {
+  const files = git(repoDir, ['ls-tree', '-r', '-z', '--name-only', commit]).split('\0').filter(Boolean);
+  const docs = new Set(files.filter(file => !file.includes('/') && file.endsWith('.md')));
+  return files.filter(file => docs.has(file) || docs.has(`${file.split('/')[0]}.md`));
+}
+
+// Write the documentation sources of a version into snapshotDir, so the usual pipeline can
+// process them like the working tree. Folders already extracted from the same commit are reused.
+function extractSnapshot(repoDir, version, snapshotDir) {
+  const commitFile = path.join(snapshotDir, COMMIT_FILE);
+  if (fs.existsSync(commitFile) && fs.readFileSync(commitFile, 'utf8').trim() === version.commit) {
+    return false;
+  }
+
+  fs.rmSync(snapshotDir, { recursive: true, force: true });
+  snapshotFiles(repoDir, version.commit).forEach(file => {
+    const destPath = path.join(snapshotDir, file);
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.writeFileSync(destPath, git(repoDir, ['cat-file', 'blob', `${version.commit}:${file}`], { encoding: 'buffer' }));
+  });
+  fs.writeFileSync(commitFile, `${version.commit}\n`);
+  return true;
+}
+
+// Date of the last commit that touched a snapshot file, up to the version's commit
+function snapshotLastUpdated(repoDir, version, snapshotDir, filePath) {
+  const file = path.relative(snapshotDir, filePath).split(path.sep).join('/');
+  try {
+    return git(repoDir, ['log', '-1', '--format=%cs', version.commit, '--', file]).trim() || version.date;
+  } catch (error) {
+    return version.date;
+  }
+}
+
+// Snapshot pages open with a banner pointing to the latest version of the page
+function prepareSnapshotPage(content, { version, latest }) {
+  const banner = `<VersionBanner version=${JSON.stringify(version.name)} date=${JSON.stringify(version.date)} latest=${JSON.stringify(latest)} />`;
+  return nestImports(`${VERSION_BANNER_IMPORT}\n\n${banner}\n\n${content}`);
+}
+
+// pages/<version>/index.mdx: the pages of a snapshot, since snapshots have no sidebar
+function renderVersionIndex(version, docs) {
+  const links = docs.map(doc => `- [${doc.title.replace(/([[\]])/g, '\\$1')}](/${version.name}/${doc.slug})`);
+
+  return `---
+title: ${JSON.stringify(`Documentation ${version.name}`)}
+description: ${JSON.stringify(`The GlobeMed Healthcare Management System documentation as of ${version.name}`)}
+---
+
+${generatedMarker(`tag ${version.name}`)}
+
+${nestImports(VERSION_BANNER_IMPORT)}
+
+<VersionBanner version=${JSON.stringify(version.name)} date=${JSON.stringify(version.date)} latest="/" />
+
+# GlobeMed HMS Documentation ${version.name}
+
+The documentation as it was published at tag \`${version.name}\` (${version.date}).
+
+${links.join('\n')}
+`;
+}
+
+// public/versions.json: the latest documentation first, then every snapshot, newest first.
+// next.config.js hands it to the version switcher in the navbar.
+function serializeVersionIndex(latestDocs, versions) {
+  return JSON.stringify([
+    { name: 'latest', label: 'Latest', route: '', pages: latestDocs.map(doc => doc.slug) },
+    ...versions.map(version => ({
+      name: version.name,
+      label: version.name,
+      route: `/${version.name}`,
+      date: version.date,
+      pages: version.docs.map(doc => doc.slug)
+    }))
+  ], null, 2);
+}
+
+module.exports = {
+  VERSION_TAG_REGEX,
+  listVersions,
+  extractSnapshot,
+  snapshotLastUpdated,
+  prepareSnapshotPage,
+  renderVersionIndex,
+  serializeVersionIndex
+};
@@ -1,230 +1,929 @@
 const fs = require('fs');
 const path = require('path');
+const { discoverDocs, discoverTranslations } = require('./lib/discover');
+const { collectHeadings } = require('./lib/slugger');
+const { createLinkContext, rewriteLinks, printLinkReport } = require('./lib/links');
+const { loadBasePath, buildImageManifest, serializeImageManifest } = require('./lib/images');
+const { BuildCache, hashContent } = require('./lib/cache');
+const { OutputWriter, isGeneratedPage, generatedMarker } = require('./lib/output');
+const { fillTableOfContents } = require('./lib/toc');
+const { convertCallouts } = require('./lib/callouts');
+const { sanitizeMdx, checkMdx, findSourceLine, printMdxReport } = require('./lib/mdx-safety');
+const { extractProperties, insertPageHeader, gitLastUpdated, buildFrontmatter } = require('./lib/frontmatter');
+const { pageMetadata, renderHomePage, renderPatternCatalogue } = require('./lib/catalogue');
+const { buildSymbolIndex, linkSymbols } = require('./lib/java-symbols');
+const { renderSymbolPage, renderSymbolIndex } = require('./lib/reference');
+const { findDiagrams, DiagramRenderer, renderDiagrams, printDiagramReport } = require('./lib/diagrams');
+const { planTiles, tilesKey, writeTiles, isTileOf, serializeTileIndex } = require('./lib/tiles');
+const { planVariants, variantsKey, writeVariants, variantFiles, isVariantOf, serializeVariantIndex } = require('./lib/variants');
+const { hotspotsPath, loadHotspots, resolveHotspots, serializeHotspotIndex, printHotspotReport } = require('./lib/hotspots');
+const { buildSearchIndex, serializeSearchIndex } = require('./lib/search-index');
+const { buildBook, renderPrintBook } = require('./lib/book');
+const { buildEpub } = require('./lib/epub');
+const { VERSION_TAG_REGEX, listVersions, extractSnapshot, snapshotLastUpdated, prepareSnapshotPage, renderVersionIndex, serializeVersionIndex } = require('./lib/versions');
+const { translationStatus, prepareTranslatedPage, renderLocaleIndex, renderTranslationReport, serializeLanguageIndex, printTranslationReport } = require('./lib/translations');
+const { LOCALES } = require('./lib/locales');
+const { pageHistory, appendPageHistory, collectChanges, renderWhatsNew, renderAtomFeed } = require('./lib/history');
 
 // Paths
 const sourceDir = path.join(__dirname, '../../');
 const pagesDir = path.join(__dirname, '../pages');
 const publicDir = path.join(__dirname, '../public');
+const overridesPath = path.join(__dirname, '../docs-overrides.json');
+const imagesDir = path.join(publicDir, 'images');
+const referenceDir = path.join(pagesDir, 'reference');
+const cachePath = path.join(__dirname, '../.docs-cache.json');
+const snapshotsDir = path.join(__dirname, '../.docs-versions');
+const epubFile = 'globemed-hms-docs.epub';
+const feedFile = 'feed.xml';
+const basePath = loadBasePath(path.join(__dirname, '../next.config.js'));
+
+const args = process.argv.slice(2);
+const watchMode = args.includes('--watch');
+const forceMode = args.includes('--force');
+const dryRun = args.includes('--dry-run');
+const pruneMode = args.includes('--prune');
+
+const output = new OutputWriter({ rootDir: path.join(__dirname, '..'), dryRun });
+const diagramRenderer = new DiagramRenderer();
+
+async function processMarkdownFile(doc, newPath, { linkContext, lastUpdated, history, prepare, cache }) {
+  const originalPath = doc.sourcePath;
+  const title = doc.title;
+  const result = { written: false, mdxError: null, diagramErrors: [] };
 
-// Create necessary directories
-if (!fs.existsSync(path.join(publicDir, 'images'))) {
-  fs.mkdirSync(path.join(publicDir, 'images'), { recursive: true });
-}
-
-// Mapping of original files to clean names
-const fileMapping = {
-  'GlobeMed Healthcare Management System 26026417036d80ae9427e35c23a99865.md': {
-    newName: 'overview.mdx',
-    title: 'System Overview'
-  },
-  'Part A Patient Record Management - Memento & Proto 26026417036d80cc9a34d270043088c1.md': {
-    newName: 'patient-records.mdx',
-    title: 'Patient Record Management'
-  },
-  'Part B Appointment Scheduling - Mediator Pattern 26026417036d808d8f2bc7504babc712.md': {
-    newName: 'appointment-scheduling.mdx',
-    title: 'Appointment Scheduling'
-  },
-  'Part C Billing and Insurance Claims - Chain of Res 26026417036d80ccaf39d95b53ce872e.md': {
-    newName: 'billing-insurance.mdx',
-    title: 'Billing & Insurance Claims'
-  },
-  'Part D Medical Staff Roles and Permissions - Decor 26026417036d80f39f87e6968684ec2f.md': {
-    newName: 'staff-permissions.mdx',
-    title: 'Staff Roles & Permissions'
-  },
-  'Part E Generating Medical Reports - Visitor Patter 26026417036d8009b72fec3cd475fdf5.md': {
-    newName: 'medical-reports.mdx',
-    title: 'Medical Reports Generation'
-  },
-  'Part F Security Considerations - Decorator & DAO P 26026417036d800780f4fb6159bf240f.md': {
-    newName: 'security.mdx',
-    title: 'Security Considerations'
-  }
-};
-
-function processMarkdownFile(originalPath, newPath, title) {
   try {
-    let content = fs.readFileSync(originalPath, 'utf8');
-    
+    const source = fs.readFileSync(originalPath, 'utf8');
+    let content = source;
+
+    // Point links between Notion exports at their site routes and images at their copies
+    content = rewriteLinks(content, doc, linkContext);
+
+    // The **Document**/**Patterns**/**Module**/**Author** header becomes frontmatter
+    const extracted = extractProperties(content);
+    const { properties } = extracted;
+    content = extracted.content;
+
+    // Notion's table of contents block exports as an empty section
+    content = fillTableOfContents(content);
+
+    // Class names from the Java snippets link to their reference pages
+    content = linkSymbols(content, linkContext.symbols);
+
+    // Escape braces, generics like List<String> and HTML comments that MDX would try to parse
+    content = sanitizeMdx(content);
+
+    // Emoji blockquotes and Notion asides become Nextra callouts, toggles become <details>
+    content = convertCallouts(content);
+
+    // ```mermaid and ```plantuml fences become inline SVG
+    const diagrams = await renderDiagrams(content, { renderer: diagramRenderer, cache });
+    content = diagrams.content;
+    if (diagrams.errors.length > 0) {
+      const sourceDiagrams = findDiagrams(source);
+      result.diagramErrors = diagrams.errors.map(({ index, message, warning }) => ({
+        file: doc.fileName,
+        line: sourceDiagrams[index] ? sourceDiagrams[index].start : null,
+        message,
+        warning
+      }));
+    }
+
+    // Pattern badges, module and author under the title
+    if (properties.patterns || properties.module || properties.author) {
+      content = insertPageHeader(content);
+    }
+
+    // The commits that changed the page, with the sections each one touched, close the page
+    if (history.length > 0) {
+      content = appendPageHistory(content);
+    }
+
+    // Version snapshots and translations add their banner
+    if (prepare) {
+      content = prepare(content);
+    }
+
     // Add frontmatter for better Nextra integration
-    const frontmatter = `---
-title: "${title}"
-description: "${title} - GlobeMed Healthcare Management System Documentation"
----
-
-`;
-
-    // Process image paths - update to point to /images/ directory
-    content = content.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (match, alt, imagePath) => {
-      // Extract just the image filename from complex paths
-      const filename = imagePath.split('/').pop();
-      return `![${alt}](/images/${filename})`;
+    const frontmatter = buildFrontmatter({
+      title,
+      description: `${title} - GlobeMed Healthcare Management System Documentation`,
+      document: properties.document,
+      patterns: properties.patterns,
+      module: properties.module,
+      author: properties.author,
+      lastUpdated,
+      lastUpdatedBy: history.length > 0 ? history[0].author : null,
+      history: history.map(({ commit, date, author, subject, added, sections }) => ({ commit, date, author, subject, added, sections }))
     });
+    const body = `${generatedMarker(doc.fileName)}\n\n${content}`;
+
+    // Compile now, so a problem is reported against the source file rather than by `next build`
+    const compileError = await checkMdx(body);
+    if (compileError) {
+      const pageLine = compileError.line && compileError.line + frontmatter.split('\n').length - 1;
+      const bodyLine = compileError.line ? body.split('\n')[compileError.line - 1] : null;
+      result.mdxError = {
+        file: doc.fileName,
+        line: findSourceLine(source, bodyLine),
+        page: path.relative(path.join(__dirname, '..'), newPath),
+        pageLine,
+        message: compileError.message
+      };
+    }
 
     // Write processed content
-    fs.writeFileSync(newPath, frontmatter + content);
-    console.log(`✅ Processed: ${originalPath} -> ${newPath}`);
-    
-    return true;
+    if (output.writeFile(newPath, frontmatter + body)) {
+      console.log(`✅ Processed: ${originalPath} -> ${newPath}`);
+      result.written = true;
+    }
   } catch (error) {
     console.error(`❌ Error processing ${originalPath}:`, error.message);
-    return false;
   }
+
+  return result;
 }
 
-function copyImages() {
+function copyImages(manifest, cache) {
+  const copied = [];
+
   try {
-    // Find all image files in source directories
-    const sourceDirs = fs.readdirSync(sourceDir, { withFileTypes: true })
-      .filter(dirent => dirent.isDirectory() && !dirent.name.includes('docs-site') && !dirent.name.includes('.git'))
-      .map(dirent => dirent.name);
-
-    sourceDirs.forEach(dirName => {
-      const dirPath = path.join(sourceDir, dirName);
-      if (fs.existsSync(dirPath)) {
-        const files = fs.readdirSync(dirPath);
-        files.forEach(file => {
-          if (file.match(/\.(png|jpg|jpeg|svg|gif)$/i)) {
-            const sourcePath = path.join(dirPath, file);
-            const destPath = path.join(publicDir, 'images', file);
-            fs.copyFileSync(sourcePath, destPath);
-            console.log(`🖼️  Copied image: ${file}`);
-          }
-        });
+    manifest.forEach((image, sourcePath) => {
+      const destPath = path.join(imagesDir, image.file);
+      if (fs.existsSync(destPath) && cache.isImageFresh(image.file, image.hash)) {
+        return;
       }
+
+      output.copyFile(sourcePath, destPath);
+      cache.setImage(image.file, image.hash);
+      copied.push(image.file);
+      console.log(`🖼️  Copied image: ${image.source} -> images/${image.file}`);
     });
   } catch (error) {
     console.error('❌ Error copying images:', error.message);
   }
+
+  return copied;
+}
+
+// Tile pyramids for the image viewer, for images too large to open whole
+async function tileImages(manifest, cache) {
+  const tiled = [];
+
+  for (const [sourcePath, image] of manifest) {
+    try {
+      image.tiles = await planTiles(sourcePath, image.url);
+      if (!image.tiles) continue;
+
+      const destPath = path.join(imagesDir, image.file);
+      const key = tilesKey(image.hash);
+      if (fs.existsSync(destPath.replace(/\.[^./]+$/, '.dzi')) && cache.areTilesFresh(image.file, key)) {
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(`Tiles for b/public/images/${image.file} would be generated`);
+      } else {
+        await writeTiles(sourcePath, destPath, image.tiles);
+        cache.setTiles(image.file, key);
+      }
+      tiled.push(image.file);
+      console.log(`🗺️  Tiled image: images/${image.file} (${image.tiles.width}x${image.tiles.height})`);
+    } catch (error) {
+      console.error(`❌ Error tiling ${image.source}:`, error.message);
+    }
+  }
+
+  output.writeFile(path.join(imagesDir, 'tiles.json'), serializeTileIndex(manifest));
+  return tiled;
 }
 
-function createNavigation() {
+// Resized AVIF and WebP copies of every PNG and JPEG with a blurred placeholder, so pages can
+// serve responsive images; the image viewer still opens the original
+async function createVariants(manifest, cache) {
+  const created = [];
+
+  for (const [sourcePath, image] of manifest) {
+    try {
+      const destPath = path.join(imagesDir, image.file);
+      const key = variantsKey(image.hash);
+      const cached = cache.variants(image.file, key);
+      if (cached && variantFiles(destPath, cached).every(file => fs.existsSync(file))) {
+        image.variants = cached;
+        continue;
+      }
+
+      image.variants = await planVariants(sourcePath, image.url);
+      if (!image.variants) continue;
+
+      const widths = image.variants.sources.webp.map(source => source.width).join(', ');
+      if (dryRun) {
+        console.log(`Variants of b/public/images/${image.file} would be generated (${widths}px)`);
+      } else {
+        await writeVariants(sourcePath, destPath, image.variants);
+        cache.setVariants(image.file, key, image.variants);
+      }
+      created.push(image.file);
+      console.log(`🪄  Resized image: images/${image.file} (${widths}px)`);
+    } catch (error) {
+      image.variants = null;
+      console.error(`❌ Error resizing ${image.source}:`, error.message);
+    }
+  }
+
+  output.writeFile(path.join(imagesDir, 'variants.json'), serializeVariantIndex(manifest));
+  return created;
+}
+
+// Clickable areas of diagrams, from <image>.hotspots.json files next to the images
+function linkHotspots(manifest, anchors, symbols) {
+  const errors = [];
+
+  manifest.forEach((image, sourcePath) => {
+    const file = path.relative(sourceDir, hotspotsPath(sourcePath)).split(path.sep).join('/');
+    try {
+      const hotspots = loadHotspots(sourcePath);
+      if (!hotspots) return;
+
+      // Sections without a page are looked up on the page the image belongs to
+      const result = resolveHotspots(hotspots, { page: image.file.split('/')[0], anchors, symbols });
+      image.hotspots = result.hotspots;
+      errors.push(...result.errors.map(error => ({ file, ...error })));
+    } catch (error) {
+      errors.push({ file, message: `Invalid hotspot file: ${error.message}` });
+    }
+  });
+
+  output.writeFile(path.join(imagesDir, 'hotspots.json'), serializeHotspotIndex(manifest));
+  return errors;
+}
+
+// Standalone documents lead the sidebar, followed by the pattern Parts
+function sidebarOrder(docs) {
+  return [...docs.filter(doc => !doc.isPart), ...docs.filter(doc => doc.isPart)];
+}
+
+function createNavigation(docs, symbols, versions, locales) {
   const metaContent = {
-    "index": "Introduction",
-    "overview": "System Overview",
-    "---": {
+    "index": "Introduction"
+  };
+
+  docs.filter(doc => !doc.isPart).forEach(doc => {
+    metaContent[doc.slug] = doc.title;
+  });
+  metaContent["patterns"] = "Pattern Catalogue";
+  metaContent["whats-new"] = "What's New";
+  if (symbols.size > 0) {
+    metaContent["reference"] = "Class Reference";
+  }
+  // pages/search.mdx is reached from the navbar search box, the print book from the home page
+  metaContent["search"] = {
+    "title": "Search",
+    "display": "hidden"
+  };
+  metaContent["print"] = {
+    "title": "Print Book",
+    "display": "hidden",
+    "theme": {
+      "sidebar": false,
+      "toc": false,
+      "pagination": false,
+      "timestamp": false
+    }
+  };
+  if (locales.length > 0) {
+    metaContent["translations"] = {
+      "title": "Translation Status",
+      "display": "hidden"
+    };
+  }
+  // Locales and snapshots are reached from the language and version switchers. As navbar pages, Nextra keeps their pages
+  // out of the latest sidebar; they get none of their own, since it would list both versions.
+  locales.forEach(({ locale }) => {
+    metaContent[locale] = {
+      "title": LOCALES[locale].name,
+      "type": "page",
+      "display": "hidden",
+      "theme": {
+        "sidebar": false,
+        "pagination": false
+      }
+    };
+  });
+  versions.forEach(version => {
+    metaContent[version.name] = {
+      "title": version.name,
+      "type": "page",
+      "display": "hidden",
+      "theme": {
+        "sidebar": false,
+        "pagination": false
+      }
+    };
+  });
+
+  const parts = docs.filter(doc => doc.isPart);
+  if (parts.length > 0) {
+    metaContent["---"] = {
       "type": "separator",
       "title": "Design Pattern Implementations"
-    },
-    "patient-records": "Patient Record Management",
-    "appointment-scheduling": "Appointment Scheduling", 
-    "billing-insurance": "Billing & Insurance Claims",
-    "staff-permissions": "Staff Roles & Permissions",
-    "medical-reports": "Medical Reports Generation",
-    "security": "Security Considerations"
-  };
+    };
+    parts.forEach(doc => {
+      metaContent[doc.slug] = doc.title;
+    });
+  }
+
+  if (output.writeFile(path.join(pagesDir, '_meta.json'), JSON.stringify(metaContent, null, 2))) {
+    console.log('📋 Created navigation structure');
+  }
+}
+
+// Home page and pattern catalogue are built from page metadata, so they follow the docs
+function createHomePage(pages) {
+  if (output.writeFile(path.join(pagesDir, 'index.mdx'), renderHomePage(pages))) {
+    console.log('🏠 Created home page');
+  }
+}
+
+function createPatternCatalogue(pages) {
+  if (output.writeFile(path.join(pagesDir, 'patterns.mdx'), renderPatternCatalogue(pages))) {
+    console.log('🧩 Created pattern catalogue');
+  }
+}
+
+// pages/whats-new.mdx and its Atom feed: the latest commits across every page
+function createWhatsNew(docs, histories) {
+  const changes = collectChanges(docs.map(doc => ({ doc, history: histories.get(doc.slug) })));
+  if (output.writeFile(path.join(pagesDir, 'whats-new.mdx'), renderWhatsNew(changes, { feedUrl: `${basePath}/${feedFile}` }))) {
+    console.log(`🆕 Created What's New page (${changes.length} commit(s))`);
+  }
+  if (output.writeFile(path.join(publicDir, feedFile), renderAtomFeed(changes, { siteUrl: process.env.NEXT_PUBLIC_SITE_URL, basePath }))) {
+    console.log(`📡 Created Atom feed (public/${feedFile})`);
+  }
+}
+
+// Index of the prose, code blocks and diagram alt text of every page, for components/search.js
+function createSearchIndex(sources) {
+  const index = buildSearchIndex(sources);
+  if (output.writeFile(path.join(publicDir, 'search-index.json'), serializeSearchIndex(index))) {
+    console.log(`🔍 Created search index (${index.documents.length} section(s), snippet(s) and diagram(s))`);
+  }
+}
+
+// pages/print.mdx and the EPUB: every documentation page as one book, in sidebar order.
+// Built from the generated pages, so it shows exactly what the site does. Returns an error
+// message when the EPUB could not be packaged.
+async function createBook(docs, sources, images, lastUpdated) {
+  const properties = new Map(sources.map(({ doc, content }) => [doc.slug, extractProperties(content).properties]));
+  const book = buildBook(sidebarOrder(docs).map(doc => ({
+    slug: doc.slug,
+    title: doc.title,
+    properties: properties.get(doc.slug),
+    mdx: output.readFile(path.join(pagesDir, `${doc.slug}.mdx`)) || ''
+  })));
+
+  if (output.writeFile(path.join(pagesDir, 'print.mdx'), renderPrintBook(book, { epubUrl: `/${epubFile}` }))) {
+    console.log(`🖨️  Created print book (${book.chapters.length} chapter(s), ${book.figures.length} figure(s))`);
+  }
+
+  try {
+    const epub = await buildEpub(book, {
+      images,
+      basePath,
+      siteUrl: process.env.NEXT_PUBLIC_SITE_URL,
+      // The newest page date, so the file only changes with the content
+      modified: lastUpdated.filter(Boolean).sort().pop() || new Date().toISOString().slice(0, 10),
+      authors: [...new Set([...properties.values()].map(page => page.author).filter(Boolean))]
+    });
+    if (output.writeBinaryFile(path.join(publicDir, epubFile), epub)) {
+      console.log(`📖 Created EPUB book (public/${epubFile})`);
+    }
+    return null;
+  } catch (error) {
+    console.error('❌ Error creating EPUB book:', error.message);
+    return error.message;
+  }
+}
+
+// Snapshots of the documentation at every version tag, in pages/<version>/ with their images in
+// public/images/<version>/. Only the documentation pages are versioned: the class reference,
+// search, print book and image tiles, variants and hotspots follow the latest version.
+async function createVersions(latestDocs, cache) {
+  const latestSlugs = new Set(latestDocs.map(doc => doc.slug));
+  const result = { versions: [], regenerated: [], copiedImages: [], problems: [], mdxErrors: [], diagramErrors: [] };
+
+  for (const version of listVersions(sourceDir)) {
+    if (latestSlugs.has(version.name)) {
+      throw new Error(`Page slug "${version.name}" is also a version tag, pin another one in the overrides file`);
+    }
+
+    const snapshotDir = path.join(snapshotsDir, version.name);
+    if (extractSnapshot(sourceDir, version, snapshotDir)) {
+      console.log(`🏷️  Extracted ${version.name} (${version.commit.slice(0, 7)}) to ${path.relative(path.join(__dirname, '..'), snapshotDir)}`);
+    }
+
+    // File names carry the version, so generated markers and problem reports say which one
+    const docs = discoverDocs(snapshotDir, overridesPath)
+      .map(doc => ({ ...doc, fileName: `${version.name}/${doc.fileName}` }));
+    const images = buildImageManifest(docs, {
+      sourceDir: snapshotDir,
+      basePath,
+      folder: version.name,
+      hash: file => cache.fileHash(file)
+    });
+    result.copiedImages.push(...copyImages(images, cache));
+
+    const sources = docs.map(doc => ({ doc, content: fs.readFileSync(doc.sourcePath, 'utf8') }));
+    const anchors = collectAnchors(sources);
+    const linkContext = createLinkContext(docs, anchors, images, new Map(), `/${version.name}`);
+    const pages = await processPages(docs, {
+      folder: version.name,
+      fingerprint: siteFingerprint(cache, { docs, anchors, images, symbols: new Map(), version, latest: [...latestSlugs] }),
+      linkContext,
+      lastUpdatedOf: doc => snapshotLastUpdated(sourceDir, version, snapshotDir, doc.sourcePath),
+      prepareOf: doc => content => prepareSnapshotPage(content, { version, latest: latestSlugs.has(doc.slug) ? `/${doc.slug}` : '/' }),
+      cache
+    });
+
+    const versionDir = path.join(pagesDir, version.name);
+    const metaContent = { "index": "Contents" };
+    sidebarOrder(docs).forEach(doc => {
+      metaContent[doc.slug] = doc.title;
+    });
+    output.writeFile(path.join(versionDir, '_meta.json'), JSON.stringify(metaContent, null, 2));
+    if (output.writeFile(path.join(versionDir, 'index.mdx'), renderVersionIndex(version, sidebarOrder(docs)))) {
+      console.log(`🏷️  Created ${version.name} snapshot (${docs.length} page(s))`);
+    }
+
+    result.versions.push({ ...version, docs, images });
+    result.regenerated.push(...pages.regenerated);
+    result.problems.push(...linkContext.problems);
+    result.mdxErrors.push(...pages.mdxErrors);
+    result.diagramErrors.push(...pages.diagramErrors);
+  }
 
-  fs.writeFileSync(
-    path.join(pagesDir, '_meta.json'),
-    JSON.stringify(metaContent, null, 2)
-  );
-  console.log('📋 Created navigation structure');
+  return result;
 }
 
-function createHomePage() {
-  const homeContent = `---
-title: "GlobeMed Healthcare Management System"
-description: "Comprehensive documentation for GlobeMed Healthcare Management System demonstrating advanced design patterns in Java"
----
+// Every page in every locale with a translation, in pages/<locale>/: the translation where there
+// is one, and the English page with a notice otherwise. Translations share the English page's images; the class
+// reference, search, print book and version snapshots stay in English.
+async function createTranslations(docs, sources, images, symbols, cache) {
+  const { translations, orphaned } = discoverTranslations(sourceDir, docs);
+  orphaned.forEach(file => console.log(`⚠️  Skipping translation without an English source: ${file}`));
+  const englishContent = new Map(sources.map(({ doc, content }) => [doc.slug, content]));
+  const result = { locales: [], regenerated: [], problems: [], mdxErrors: [], diagramErrors: [] };
+
+  for (const [locale, translated] of translations) {
+    const pages = sidebarOrder(docs).map(doc => {
+      const translation = translated.get(doc.slug) || null;
+      return { doc: translation || doc, ...translationStatus(translation, englishContent.get(doc.slug)) };
+    });
+    const statuses = new Map(pages.map(page => [page.doc.slug, page.status]));
+    const localeDocs = pages.map(page => page.doc);
+
+    // Links to the English or the translated file of a page both open the page in this locale,
+    // and their anchors are the headings of the page in this locale
+    const localeSources = localeDocs.map(doc => ({ doc, content: fs.readFileSync(doc.sourcePath, 'utf8') }));
+    const anchors = collectAnchors(localeSources);
+    const linkContext = createLinkContext([...docs, ...translated.values()], anchors, images, symbols, `/${locale}`);
+    const processed = await processPages(localeDocs, {
+      folder: locale,
+      fingerprint: siteFingerprint(cache, { docs: localeDocs, anchors, images, symbols, locale, statuses: [...statuses] }),
+      linkContext,
+      lastUpdatedOf: doc => gitLastUpdated(doc.sourcePath),
+      historyOf: doc => pageHistory(doc.sourcePath),
+      prepareOf: doc => content => prepareTranslatedPage(content, { locale, status: statuses.get(doc.slug), english: `/${doc.slug}` }),
+      cache
+    });
 
-# GlobeMed Healthcare Management System
+    const localeDir = path.join(pagesDir, locale);
+    const metaContent = { "index": LOCALES[locale].name };
+    localeDocs.forEach(doc => {
+      metaContent[doc.slug] = doc.title;
+    });
+    output.writeFile(path.join(localeDir, '_meta.json'), JSON.stringify(metaContent, null, 2));
+    if (output.writeFile(path.join(localeDir, 'index.mdx'), renderLocaleIndex(locale, pages))) {
+      console.log(`🌐 Created ${LOCALES[locale].englishName} pages (${translated.size} of ${docs.length} translated)`);
+    }
+
+    // Pages shown in English already report their problems as English pages
+    const translatedFiles = new Set([...translated.values()].map(doc => doc.fileName));
+    const ownProblems = problem => translatedFiles.has(problem.file);
+    result.locales.push({ locale, docs: localeDocs, pages });
+    result.regenerated.push(...processed.regenerated);
+    result.problems.push(...linkContext.problems.filter(ownProblems));
+    result.mdxErrors.push(...processed.mdxErrors.filter(ownProblems));
+    result.diagramErrors.push(...processed.diagramErrors.filter(ownProblems));
+  }
 
-Welcome to the comprehensive documentation for the **GlobeMed Healthcare Management System** - a sophisticated Java-based desktop application that demonstrates advanced software engineering principles through practical implementation of design patterns.
+  if (result.locales.length === 0) return result;
 
-## 🎯 Purpose
+  if (output.writeFile(path.join(pagesDir, 'translations.mdx'), renderTranslationReport(sidebarOrder(docs), result.locales))) {
+    console.log('🌐 Created translation status report');
+  }
+  return result;
+}
 
-This system serves as both a **functional healthcare management solution** and an **educational resource** for understanding enterprise-level software architecture with targeted pattern implementations.
+// pages/reference/: a symbol index plus one page per class or interface
+function createReferencePages(symbols) {
+  if (symbols.size === 0) return;
 
-## 🏗️ Architecture Overview
+  const metaContent = {
+    "index": "Symbol Index"
+  };
+  let written = 0;
 
-The GlobeMed system is built around **6 core design patterns**, each addressing specific healthcare domain challenges:
+  if (output.writeFile(path.join(referenceDir, 'index.mdx'), renderSymbolIndex(symbols))) {
+    written++;
+  }
+  symbols.forEach(symbol => {
+    metaContent[symbol.slug] = symbol.name;
+    if (output.writeFile(path.join(referenceDir, `${symbol.slug}.mdx`), renderSymbolPage(symbol, symbols))) {
+      written++;
+    }
+  });
+  output.writeFile(path.join(referenceDir, '_meta.json'), JSON.stringify(metaContent, null, 2));
+
+  if (written > 0) {
+    console.log(`📚 Created class reference (${written} page(s) for ${symbols.size} symbol(s))`);
+  }
+}
+
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(dirent => {
+    const fullPath = path.join(dir, dirent.name);
+    return dirent.isDirectory() ? listFiles(fullPath) : [fullPath];
+  });
+}
 
-### 📋 Patient Record Management
-- **Patterns**: Memento & Prototype
-- **Features**: State restoration, undo functionality, efficient record creation
+// Delete generated pages and copied images whose source markdown, class or image is gone.
+// Pages without the generated marker are hand-written and never touched, and images they
+// still reference are kept.
+function pruneOutputs(docs, manifest, symbols, versions, locales) {
+  const pruned = [];
+  const handWritten = [];
+  // Generated pages of this run, relative to pages/ without the extension
+  const current = new Set([
+    ...docs.map(doc => doc.slug),
+    'print',
+    'whats-new',
+    ...(locales.length > 0 ? ['translations'] : []),
+    ...(symbols.size > 0 ? ['reference/index'] : []),
+    ...[...symbols.values()].map(symbol => `reference/${symbol.slug}`),
+    ...versions.flatMap(version => [`${version.name}/index`, ...version.docs.map(doc => `${version.name}/${doc.slug}`)]),
+    ...locales.flatMap(({ locale, docs: localeDocs }) => [`${locale}/index`, ...localeDocs.map(doc => `${locale}/${doc.slug}`)])
+  ]);
+
+  listFiles(pagesDir)
+    .filter(pagePath => /\.mdx?$/.test(pagePath))
+    .forEach(pagePath => {
+      const file = path.relative(pagesDir, pagePath).split(path.sep).join('/');
+      const content = output.readFile(pagePath);
+      if (content === null) return;
+
+      if (!isGeneratedPage(content)) {
+        handWritten.push(content);
+      } else if (!current.has(file.replace(/\.mdx?$/, ''))) {
+        output.removeFile(pagePath);
+        pruned.push(`pages/${file}`);
+      }
+    });
 
-### 📅 Appointment Scheduling  
-- **Pattern**: Mediator
-- **Features**: Complex interaction mediation between patients, doctors, and scheduling systems
+  const referenceMeta = path.join(referenceDir, '_meta.json');
+  if (symbols.size === 0 && fs.existsSync(referenceMeta)) {
+    output.removeFile(referenceMeta);
+    pruned.push('pages/reference/_meta.json');
+  }
 
-### 💰 Billing & Insurance Claims
-- **Pattern**: Chain of Responsibility  
-- **Features**: Flexible workflow processing, validation chains, insurance claim handling
+  // Navigation of snapshots whose tag was deleted, and of locales without translations left
+  const versionNames = new Set(versions.map(version => version.name));
+  const localeNames = new Set(locales.map(({ locale }) => locale));
+  fs.readdirSync(pagesDir, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory() && (
+      (VERSION_TAG_REGEX.test(dirent.name) && !versionNames.has(dirent.name)) ||
+      (LOCALES[dirent.name] && !localeNames.has(dirent.name))
+    ))
+    .map(dirent => path.join(pagesDir, dirent.name, '_meta.json'))
+    .filter(metaPath => output.readFile(metaPath) !== null)
+    .forEach(metaPath => {
+      output.removeFile(metaPath);
+      pruned.push(`pages/${path.relative(pagesDir, metaPath).split(path.sep).join('/')}`);
+    });
+
+  const published = new Set([
+    ...[...manifest.values()].map(image => image.file),
+    ...versions.flatMap(version => [...version.images.values()].map(image => image.file))
+  ]);
+  published.add('manifest.json');
+  published.add('tiles.json');
+  published.add('hotspots.json');
+  published.add('variants.json');
+  const tiled = [...manifest.values()].filter(image => image.tiles).map(image => image.file);
+  const resized = [...manifest.values()].filter(image => image.variants).map(image => image.file);
+  const handWrittenContent = handWritten.join('\n');
+
+  listFiles(imagesDir).forEach(imagePath => {
+    const file = path.relative(imagesDir, imagePath).split(path.sep).join('/');
+    if (published.has(file) || tiled.some(image => isTileOf(file, image)) || resized.some(image => isVariantOf(file, image))) {
+      return;
+    }
+    if (handWrittenContent.includes(`/images/${file}`) || handWrittenContent.includes(`/images/${encodeURI(file)}`)) return;
+
+    output.removeFile(imagePath);
+    pruned.push(`public/images/${file}`);
+  });
+
+  return pruned;
+}
+
+// Fingerprint of the processor itself, so editing a script or the overrides invalidates the cache
+function generatorFingerprint(cache) {
+  const libDir = path.join(__dirname, 'lib');
+  const files = [__filename, overridesPath, ...fs.readdirSync(libDir).map(file => path.join(libDir, file))]
+    .filter(file => fs.existsSync(file));
+  return hashContent(files.map(file => cache.fileHash(file)).join(':'));
+}
+
+// Heading anchors of every page, so cross-document links can be checked
+function collectAnchors(sources) {
+  return new Map(sources.map(({ doc, content }) => [
+    doc.slug,
+    new Set(collectHeadings(content).map(heading => heading.id))
+  ]));
+}
 
-### 👥 Staff Roles & Permissions
-- **Pattern**: Decorator
-- **Features**: Dynamic role-based access control, fine-grained permissions
+// A page depends on its own source plus everything its links can point at
+function siteFingerprint(cache, { docs, anchors, images, symbols, ...rest }) {
+  return hashContent(JSON.stringify({
+    generator: generatorFingerprint(cache),
+    docs: docs.map(({ fileName, slug, title }) => ({ fileName, slug, title })),
+    anchors: [...anchors].map(([slug, ids]) => [slug, [...ids]]),
+    images: [...images].map(([sourcePath, image]) => [sourcePath, image.url]),
+    symbols: [...symbols.keys()],
+    ...rest
+  }));
+}
 
-### 📊 Medical Reports Generation
-- **Pattern**: Visitor
-- **Features**: Extensible report generation, multi-format output, data aggregation
+// Process markdown files into pages/ (pages/<folder>/ for a locale or snapshot), skipping pages whose
+// inputs are unchanged
+async function processPages(docs, { folder = null, fingerprint, linkContext, lastUpdatedOf, historyOf = () => [], prepareOf = () => null, cache }) {
+  const result = { regenerated: [], lastUpdated: [], mdxErrors: [], diagramErrors: [] };
+
+  for (const doc of docs) {
+    const page = folder ? `${folder}/${doc.slug}` : doc.slug;
+    const newPath = path.join(pagesDir, `${page}.mdx`);
+    const lastUpdated = lastUpdatedOf(doc);
+    result.lastUpdated.push(lastUpdated);
+    const history = historyOf(doc);
+    const key = hashContent(`${fingerprint}:${cache.fileHash(doc.sourcePath)}:${lastUpdated}:${history.map(commit => commit.hash).join(',')}`);
+    const cached = cache.page(page, key);
+
+    // Pages with diagrams left as code blocks are rendered again, in case the renderer was installed since
+    if (cached && fs.existsSync(newPath) && !cached.problems.diagrams.some(problem => problem.warning)) {
+      linkContext.problems.push(...cached.problems.links);
+      result.mdxErrors.push(...cached.problems.mdx);
+      result.diagramErrors.push(...cached.problems.diagrams);
+      continue;
+    }
+
+    const problemCount = linkContext.problems.length;
+    const { written, mdxError, diagramErrors } = await processMarkdownFile(doc, newPath, {
+      linkContext,
+      lastUpdated,
+      history,
+      prepare: prepareOf(doc),
+      cache
+    });
+    if (written) {
+      result.regenerated.push(page);
+    }
+    if (mdxError) {
+      result.mdxErrors.push(mdxError);
+    }
+    result.diagramErrors.push(...diagramErrors);
+    cache.setPage(page, key, {
+      links: linkContext.problems.slice(problemCount),
+      mdx: mdxError ? [mdxError] : [],
+      diagrams: diagramErrors
+    });
+  }
 
-### 🔒 Security Considerations
-- **Patterns**: Decorator & DAO
-- **Features**: Comprehensive data protection, secure access patterns
+  return result;
+}
 
-## 🚀 Technology Stack
+async function processDocs(cache) {
+  // Discover Notion exports in the repository root
+  const docs = discoverDocs(sourceDir, overridesPath);
+  console.log(`🔎 Found ${docs.length} document(s)`);
+
+  // Copy images first, so pages can link to their published location
+  const imageManifest = buildImageManifest(docs, { sourceDir, basePath, hash: file => cache.fileHash(file) });
+  const copiedImages = copyImages(imageManifest, cache);
+  output.writeFile(path.join(imagesDir, 'manifest.json'), serializeImageManifest(imageManifest));
+  const tiledImages = await tileImages(imageManifest, cache);
+  const resizedImages = await createVariants(imageManifest, cache);
+
+  const sources = docs.map(doc => ({ doc, content: fs.readFileSync(doc.sourcePath, 'utf8') }));
+  const anchors = collectAnchors(sources);
+
+  // Classes, interfaces, fields and methods declared in the ```java blocks
+  const symbols = buildSymbolIndex(sources);
+  const linkContext = createLinkContext(docs, anchors, imageManifest, symbols);
+  const hotspotErrors = linkHotspots(imageManifest, anchors, symbols);
+
+  // Git history of every page, for its history panel and the What's New page
+  const histories = new Map(docs.map(doc => [doc.slug, pageHistory(doc.sourcePath)]));
+  const latest = await processPages(docs, {
+    fingerprint: siteFingerprint(cache, { docs, anchors, images: imageManifest, symbols }),
+    linkContext,
+    lastUpdatedOf: doc => gitLastUpdated(doc.sourcePath),
+    historyOf: doc => histories.get(doc.slug),
+    cache
+  });
+
+  // The same pages in every locale, translated where a translation exists
+  const translations = await createTranslations(docs, sources, imageManifest, symbols, cache);
+  output.writeFile(path.join(publicDir, 'languages.json'), serializeLanguageIndex(docs, translations.locales));
+
+  // Older versions, from the version tags
+  const versions = await createVersions(docs, cache);
+  output.writeFile(path.join(publicDir, 'versions.json'), serializeVersionIndex(docs, versions.versions));
+
+  // Create navigation, home page and pattern catalogue
+  const pages = sources.map(({ doc, content }) => pageMetadata(doc, content, imageManifest));
+  createNavigation(docs, symbols, versions.versions, translations.locales);
+  createHomePage(pages);
+  createPatternCatalogue(pages);
+  createWhatsNew(docs, histories);
+  createReferencePages(symbols);
+  createSearchIndex(sources);
+  const bookError = await createBook(docs, sources, imageManifest, latest.lastUpdated);
+
+  const pruned = pruneMode ? pruneOutputs(docs, imageManifest, symbols, versions.versions, translations.locales) : [];
+
+  if (!dryRun) {
+    cache.save();
+  }
 
-| Component | Technology |
-|-----------|------------|
-| **Language** | Java |
-| **JDK Version** | JDK 21 |
-| **Database** | MySQL 9.3.0 |
-| **UI Framework** | Java SE Swing |
-| **PDF Generation** | iTextPDF, pdfBox |
-| **Build Tool** | Apache Maven |
+  return {
+    pageCount: [...translations.locales, ...versions.versions].reduce((count, { docs: folderDocs }) => count + folderDocs.length, docs.length),
+    regenerated: [...latest.regenerated, ...translations.regenerated, ...versions.regenerated],
+    copiedImages: [...copiedImages, ...versions.copiedImages],
+    tiledImages,
+    resizedImages,
+    pruned,
+    imageCount: versions.versions.reduce((count, version) => count + version.images.size, imageManifest.size),
+    problems: [...linkContext.problems, ...translations.problems, ...versions.problems],
+    mdxErrors: [...latest.mdxErrors, ...translations.mdxErrors, ...versions.mdxErrors],
+    diagramErrors: [...latest.diagramErrors, ...translations.diagramErrors, ...versions.diagramErrors],
+    locales: translations.locales,
+    hotspotErrors,
+    bookErrors: bookError ? [bookError] : []
+  };
+}
 
-## 📖 Documentation Structure
+function printSummary({ pageCount, regenerated, copiedImages, tiledImages, resizedImages, pruned, imageCount }) {
+  const [regenerate, copy] = dryRun ? ['Would regenerate', 'copy'] : ['Regenerated', 'copied'];
+  console.log(`\n📊 ${regenerate} ${regenerated.length} of ${pageCount} page(s), ${copy} ${copiedImages.length} of ${imageCount} image(s)`);
+  regenerated.forEach(slug => console.log(`   - pages/${slug}.mdx`));
+  copiedImages.forEach(file => console.log(`   - public/images/${file}`));
+  if (tiledImages.length > 0) {
+    console.log(`🗺️  ${dryRun ? 'Would tile' : 'Tiled'} ${tiledImages.length} large image(s) for deep zoom`);
+  }
+  if (resizedImages.length > 0) {
+    console.log(`🪄  ${dryRun ? 'Would resize' : 'Resized'} ${resizedImages.length} image(s) to responsive variants`);
+  }
 
-This documentation is organized into focused sections, each covering a specific design pattern implementation with:
+  if (pruneMode) {
+    console.log(`🧹 ${dryRun ? 'Would prune' : 'Pruned'} ${pruned.length} orphaned file(s)`);
+    pruned.forEach(file => console.log(`   - ${file}`));
+  }
+}
 
-- **Problem Statement**: Real healthcare domain challenges
-- **Pattern Implementation**: Detailed code analysis and UML diagrams  
-- **Usage Scenarios**: Practical application examples
-- **Testing & Validation**: Comprehensive test coverage
-- **Benefits & Trade-offs**: Pattern-specific advantages and considerations
+async function runOnce(cache) {
+  let result;
+  try {
+    result = await processDocs(cache);
+  } catch (error) {
+    console.error('❌ Error processing documentation:', error.message);
+    return false;
+  } finally {
+    // Headless Chrome is only started when a page has a Mermaid diagram
+    await diagramRenderer.close();
+  }
 
-## 🔗 Quick Links
+  printSummary(result);
+  printLinkReport(result.problems);
+  printMdxReport(result.mdxErrors);
+  printDiagramReport(result.diagramErrors);
+  printHotspotReport(result.hotspotErrors);
+  printTranslationReport(result.locales);
+  const { problems, mdxErrors, diagramErrors, hotspotErrors, bookErrors } = result;
+  // A missing diagram renderer is only a warning
+  const failedDiagrams = diagramErrors.filter(error => !error.warning);
+  return problems.length + mdxErrors.length + failedDiagrams.length + hotspotErrors.length + bookErrors.length === 0;
+}
 
-- **[System Overview](/overview)** - Complete foundation document
-- **[GitHub Repository](https://github.com/isharax9/healthcare-system)** - Source code
-- **[Live Demo](https://macna.gitbook.io/macna.lk/globemed-hms-docs)** - GitBook publication
+// Re-run whenever a root markdown file or anything inside an export folder changes.
+// fs.watch is not recursive on Linux before Node 20, so every folder is watched on its own.
+function watch(cache) {
+  let watchers = [];
+  let timer = null;
+  let queue = Promise.resolve();
+
+  const watchedDirs = () => {
+    const dirs = [sourceDir];
+    const walk = dir => {
+      fs.readdirSync(dir, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory())
+        .forEach(dirent => {
+          dirs.push(path.join(dir, dirent.name));
+          walk(path.join(dir, dirent.name));
+        });
+    };
+    discoverDocs(sourceDir, overridesPath)
+      .filter(doc => doc.assetDir)
+      .forEach(doc => {
+        dirs.push(doc.assetDir);
+        walk(doc.assetDir);
+      });
+    return dirs;
+  };
 
----
+  const rewatch = () => {
+    watchers.forEach(watcher => watcher.close());
+    try {
+      watchers = watchedDirs().map(dir => fs.watch(dir, (event, fileName) => schedule(dir, fileName)));
+    } catch (error) {
+      console.error('❌ Error watching source files:', error.message);
+      watchers = [fs.watch(sourceDir, (event, fileName) => schedule(sourceDir, fileName))];
+    }
+  };
 
-*Built with ❤️ by Ishara Lakshitha for academic and educational purposes.*
-`;
+  const schedule = (dir, fileName) => {
+    // The repository root also holds docs-site and .git, whose changes are not documentation
+    if (dir === sourceDir && fileName && (fileName === 'docs-site' || fileName.startsWith('.'))) {
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      // Queue runs so a save during processing does not start a second, overlapping run
+      queue = queue.then(async () => {
+        console.log(`\n🔄 Change detected: ${fileName ? path.join(path.relative(sourceDir, dir), fileName) : dir}`);
+        await runOnce(cache);
+        rewatch();
+        console.log('\n👀 Watching for changes...');
+      });
+    }, 200);
+  };
 
-  fs.writeFileSync(path.join(pagesDir, 'index.mdx'), homeContent);
-  console.log('🏠 Created home page');
+  rewatch();
+  console.log('\n👀 Watching for changes... (Ctrl+C to stop)');
 }
 
 // Main execution
-console.log('🚀 Starting documentation processing...\n');
-
-// Copy images first
-copyImages();
-
-// Process markdown files
-Object.entries(fileMapping).forEach(([originalFile, config]) => {
-  const originalPath = path.join(sourceDir, originalFile);
-  const newPath = path.join(pagesDir, config.newName);
-  
-  if (fs.existsSync(originalPath)) {
-    processMarkdownFile(originalPath, newPath, config.title);
-  } else {
-    console.log(`⚠️  File not found: ${originalPath}`);
+console.log(dryRun ? '🚀 Starting documentation processing (dry run, nothing is written)...\n' : '🚀 Starting documentation processing...\n');
+
+if (dryRun && watchMode) {
+  console.error('❌ --dry-run cannot be combined with --watch');
+  process.exit(1);
+}
+
+const cache = new BuildCache(cachePath, { enabled: !forceMode });
+
+runOnce(cache).then(succeeded => {
+  if (watchMode) {
+    watch(cache);
+    return;
   }
-});
 
-// Create navigation and home page
-createNavigation();
-createHomePage();
+  if (!succeeded) {
+    // Fail CI before `next build` publishes dead links or chokes on invalid MDX
+    process.exitCode = 1;
+  }
 
-console.log('\n✅ Documentation processing complete!');
-console.log('\n📁 Files created:');
-console.log('   - /pages/index.mdx (Home page)');
-console.log('   - /pages/_meta.json (Navigation)');
-console.log('   - /pages/*.mdx (Documentation pages)');
-console.log('   - /public/images/* (All images)');
\ No newline at end of file
+  if (dryRun) {
+    console.log('\n✅ Dry run complete, no files were changed.');
+  } else {
+    console.log('\n✅ Documentation processing complete!');
+    console.log('\n📁 Files created:');
+    console.log('   - /pages/index.mdx (Home page)');
+    console.log('   - /pages/patterns.mdx (Pattern catalogue)');
+    console.log('   - /pages/print.mdx (Print book)');
+    console.log(`   - /pages/whats-new.mdx and /public/${feedFile} (Recent changes and their Atom feed)`);
+    console.log('   - /pages/reference/*.mdx (Class reference)');
+    console.log('   - /pages/<locale>/*.mdx (Translations, listed in /public/languages.json)');
+    console.log('   - /pages/translations.mdx (Translation status)');
+    console.log('   - /pages/<version>/*.mdx (Snapshots of the version tags, listed in /public/versions.json)');
+    console.log('   - /pages/_meta.json (Navigation)');
+    console.log('   - /public/search-index.json (Search index)');
+    console.log(`   - /public/${epubFile} (EPUB book)`);
+    console.log('   - /pages/*.mdx (Documentation pages)');
+    console.log('   - /public/images/<page>/* (Images, listed in manifest.json)');
+    console.log('   - /public/images/<page>/*_files/ (Deep zoom tiles of large images, listed in tiles.json)');
+    console.log('   - /public/images/<page>/*-<width>w.avif|webp (Responsive variants, listed in variants.json)');
+    console.log('   - /public/images/hotspots.json (Clickable diagram areas)');
+  }
+});
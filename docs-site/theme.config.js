@@ -1,3 +1,9 @@
+const { ZoomableImage } = require('./components/zoomable-image')
+const { SearchBox } = require('./components/search')
+const { VersionSwitcher } = require('./components/versions')
+const { LanguageSwitcher, languageOfRoute } = require('./components/languages')
+const { useRouter } = require('next/router')
+
 module.exports = {
   github: "https://github.com/MacNaLK/GlobeMed-HMS-Docs",
   docsRepositoryBase: "https://github.com/MacNaLK/GlobeMed-HMS-Docs/blob/main",
@@ -10,23 +16,45 @@ module.exports = {
       </span>
     </>
   ),
-  head: (
-    <>
-      <meta name="msapplication-TileColor" content="#2563eb" />
-      <meta name="theme-color" content="#2563eb" />
-      <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-      <meta httpEquiv="Content-Language" content="en" />
-      <meta name="description" content="GlobeMed Healthcare Management System Documentation - Design Patterns Implementation" />
-      <meta name="og:description" content="Comprehensive documentation for GlobeMed Healthcare Management System demonstrating advanced design patterns in Java" />
-      <meta name="twitter:card" content="summary_large_image" />
-      <meta name="og:title" content="GlobeMed Healthcare Management System Documentation" />
-      <meta name="apple-mobile-web-app-title" content="GlobeMed HMS Docs" />
-      <link rel="icon" type="image/svg+xml" href="/GlobeMed-HMS-Docs/favicon.svg" />
-      <link rel="icon" type="image/png" sizes="32x32" href="/GlobeMed-HMS-Docs/favicon-32x32.png" />
-      <link rel="icon" type="image/png" sizes="16x16" href="/GlobeMed-HMS-Docs/favicon-16x16.png" />
-    </>
-  ),
-  search: true,
+  // English unless the page is translated; pages/_document.js sets <html lang> the same way
+  head: function Head() {
+    const { pathname } = useRouter()
+    return (
+      <>
+        <meta name="msapplication-TileColor" content="#2563eb" />
+        <meta name="theme-color" content="#2563eb" />
+        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+        <meta httpEquiv="Content-Language" content={languageOfRoute(pathname)} />
+        <meta name="description" content="GlobeMed Healthcare Management System Documentation - Design Patterns Implementation" />
+        <meta name="og:description" content="Comprehensive documentation for GlobeMed Healthcare Management System demonstrating advanced design patterns in Java" />
+        <meta name="twitter:card" content="summary_large_image" />
+        <meta name="og:title" content="GlobeMed Healthcare Management System Documentation" />
+        <meta name="apple-mobile-web-app-title" content="GlobeMed HMS Docs" />
+        <link rel="icon" type="image/svg+xml" href="/GlobeMed-HMS-Docs/favicon.svg" />
+        <link rel="icon" type="image/png" sizes="32x32" href="/GlobeMed-HMS-Docs/favicon-32x32.png" />
+        <link rel="icon" type="image/png" sizes="16x16" href="/GlobeMed-HMS-Docs/favicon-16x16.png" />
+        <link rel="alternate" type="application/atom+xml" title="GlobeMed HMS Documentation – What's New" href="/GlobeMed-HMS-Docs/feed.xml" />
+      </>
+    )
+  },
+  // Every markdown image opens in the image viewer (see rehypeZoomableImages in next.config.js)
+  components: {
+    ZoomableImage
+  },
+  // Searches prose, code snippets and diagrams from the index scripts/process-docs.js writes
+  search: {
+    component: SearchBox
+  },
+  // Switch between the translations, and between the latest documentation and the snapshots
+  // of the version tags
+  navbar: {
+    extraContent: (
+      <>
+        <LanguageSwitcher />
+        <VersionSwitcher />
+      </>
+    )
+  },
   prevLinks: true,
   nextLinks: true,
   footer: {